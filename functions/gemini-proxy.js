@@ -1,14 +1,26 @@
 // functions/gemini-proxy.js
-// Enterprise-grade Gemini proxy — hardened, fast, and predictable.
-// - Pro-first model pool with smart fallbacks
+// Enterprise-grade LLM proxy — hardened, fast, and predictable.
+// - Pluggable providers (LLM_PROVIDER): Gemini, OpenAI-compatible (llama.cpp/Ollama), offline mock
+// - Health-ranked model pool with per-mode preferences and a circuit breaker
 // - Strict guardrails (UAE child-safety aware wording layer)
-// - SSE streaming with heartbeats
-// - Robust JSON enforcement for plan/qa/expect=json
+// - True SSE streaming (Lambda response streaming) with heartbeats
+// - Robust JSON enforcement for plan/qa/report/expect=json, JSON Schema validation + repair round-trip
+// - Age-aware child-safety risk classifier (mode=risk)
 // - Media sanitization (type/size)
+// - PII redaction of message text (shared/redact.js, same rules as the client; PII_ENTITIES)
 // - Retries with exponential backoff + jitter
-// - In-memory rate limiting (warm invocations)
+// - Per-install, per-mode rate limits on a pluggable store (memory / file / Redis)
 // - Timeouts + graceful upstream error shaping
 
+const { Readable } = require("stream");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { stream: streamResponse } = require("@netlify/functions");
+const { redact, parseEntities, mergeCounts, formatCounts, PLACEHOLDERS } = require("../shared/redact");
+
 /* ================== Config ================== */
 const MAX_TRIES = 3;
 const BASE_BACKOFF_MS = 650;
@@ -18,8 +30,20 @@ const MAX_MESSAGES = 64;
 const MAX_PARTS_PER_MSG = 16;
 const MAX_TEXT_CHARS = 24_000; // soft clamp for prompt bloat
 const RATE_WINDOW_MS = 10 * 60 * 1000; // 10 minutes
-const RATE_MAX_REQ = 60;               // 60 req / 10 min per client
+// Requests per window per client, budgeted by mode (risk runs alongside every chat turn)
+const RATE_BUDGETS = { default: 60, image_brief: 20, risk: 120, qa: 20, plan: 10, report: 10 };
+const REDIS_TIMEOUT_MS = 800;
+const INSTALL_ID_RX = /^[A-Za-z0-9_-]{16,64}$/;
+const MAX_SCHEMA_CHARS = 16_000;
+const MAX_SCHEMA_ERRORS = 20;
+const SCHEMA_REPAIR_ROUNDS = 1;
+// Schemas come from the public request body: a "pattern" would compile a client regex and run it
+// against model output (catastrophic backtracking), so schemas using these are rejected
+const UNSUPPORTED_SCHEMA_KEYWORDS = ["pattern", "patternProperties"];
+const HEARTBEAT_MS = 5000;             // SSE ping while upstream is silent
 const TRUSTED_ORIGINS = [/^https?:\/\/localhost(?::\d+)?$/i];
+const DEFAULT_PROVIDER = "gemini";
+const DEFAULT_OPENAI_BASE = "http://localhost:11434/v1"; // Ollama; llama.cpp serves the same API on :8080/v1
 
 /* ================== Model Strategy ================== */
 const MODEL_POOL = [
@@ -29,58 +53,251 @@ const MODEL_POOL = [
   "gemini-1.5-flash",
   "gemini-2.0-flash-exp"
 ];
+// Preferred models per mode, tried before the rest of the pool: fast for chat/classification, strong for plans
+const MODE_PREFERENCES = {
+  default:     ["gemini-2.0-flash", "gemini-1.5-flash"],
+  image_brief: ["gemini-2.0-flash", "gemini-1.5-flash"],
+  risk:        ["gemini-2.0-flash", "gemini-1.5-flash"],
+  plan:        ["gemini-1.5-pro-latest", "gemini-1.5-pro"],
+  qa:          ["gemini-1.5-pro-latest", "gemini-1.5-pro"],
+  report:      ["gemini-1.5-pro-latest", "gemini-1.5-pro"]
+};
+const BREAKER_FAILURES = 3;          // consecutive model faults that open the circuit
+const BREAKER_COOLDOWN_MS = 60_000;  // open → half-open (one probe request)
+const HEALTH_ALPHA = 0.3;            // EWMA weight for latency / error rate
+const DEMOTE_ERR_RATE = 0.5;         // a preferred model this flaky loses its preference
+const ERR_HALF_LIFE_MS = 5 * 60_000; // error rate fades while a model sits unused, so demotions expire
+
+/* ================== Risk classifier ================== */
+const RISK_CATEGORIES = ["none", "bullying", "self-harm", "abuse", "violence"];
+const RISK_SEVERITIES = ["none", "low", "medium", "high"];
+const RISK_CONTEXT_MESSAGES = 8;
+const AGE_BANDS = ["3-7", "8-12", "13-18"];
+const RISK_SCHEMA = {
+  type: "object",
+  properties: {
+    category: { type: "string", enum: RISK_CATEGORIES },
+    severity: { type: "string", enum: RISK_SEVERITIES },
+    rationale: { type: "string" }
+  },
+  required: ["category", "severity", "rationale"]
+};
 
 /* ================== Media allowlists ================== */
 const ALLOWED_IMAGE = /^image\/(png|jpe?g|webp|gif|bmp|svg\+xml)$/i;
 const ALLOWED_AUDIO = /^audio\/(webm|ogg|mp3|mpeg|wav|m4a|aac|3gpp|3gpp2|mp4)$/i;
 
-/* ================== In-memory rate limiting ================== */
-const bucket = new Map(); // key -> { count, resetAt }
+/* ================== Model health (warm invocations) ================== */
+// closed: normal · open: skipped until cooldown · half-open: a single probe decides
+const health = new Map(); // "provider:model" -> stats
+function modelHealth(provider, model) {
+  const k = `${provider.name}:${model}`;
+  if (!health.has(k)) health.set(k, { ok: 0, fail: 0, streak: 0, errRate: 0, errAt: 0, latencyMs: null, state: "closed", openedAt: 0, probeAt: 0, lastError: null });
+  return health.get(k);
+}
+function errRateAt(h, now) {
+  return h.errRate * Math.pow(0.5, Math.max(0, now - h.errAt) / ERR_HALF_LIFE_MS);
+}
+function isAvailable(h, now) {
+  if (h.state === "closed") return true;
+  if (h.state === "open") return now - h.openedAt >= BREAKER_COOLDOWN_MS;
+  return now - h.probeAt >= BREAKER_COOLDOWN_MS; // half-open probe that never reported back
+}
+// Claims the probe slot for an open circuit; call right before sending to the model
+function admit(provider, model) {
+  const h = modelHealth(provider, model);
+  if (h.state !== "closed") { h.state = "half-open"; h.probeAt = Date.now(); }
+}
+// Preferred models first, then lower error rate (in 10% steps so noise doesn't reshuffle), then latency
+function rankModels(provider, candidates, mode) {
+  const now = Date.now();
+  const prefs = (provider.preferences && Object.hasOwn(provider.preferences, mode) && provider.preferences[mode]) || [];
+  const rows = candidates.map((m, i) => {
+    const h = modelHealth(provider, m);
+    const err = errRateAt(h, now);
+    return { m, i, h, err, pref: (prefs.includes(m) && err < DEMOTE_ERR_RATE) ? prefs.indexOf(m) : prefs.length };
+  });
+  const ranked = rows.filter(r => isAvailable(r.h, now)).sort((a, b) =>
+    (a.pref - b.pref) ||
+    (Math.round(a.err * 10) - Math.round(b.err * 10)) ||
+    ((a.h.latencyMs ?? 0) - (b.h.latencyMs ?? 0)) ||
+    (a.i - b.i));
+  if (ranked.length) return ranked.map(r => r.m);
+  // Every circuit is open: probe the one that has rested longest rather than refusing outright
+  return [rows.sort((a, b) => a.h.openedAt - b.h.openedAt)[0].m];
+}
+// Only faults that say something about the model count: 404 (gone), 429 (quota), 5xx and timeouts.
+// Bad requests are about the prompt, not the model; callers report safety blocks as 200.
+function recordOutcome(provider, model, status, ms, error) {
+  const h = modelHealth(provider, model);
+  const now = Date.now();
+  const fault = status === 404 || status === 429 || status >= 500;
+  const err = errRateAt(h, now);
+  h.errAt = now;
+  if (!fault) {
+    h.streak = 0; h.state = "closed";
+    h.errRate = err * (1 - HEALTH_ALPHA);
+    if (status !== 200) return;
+    h.ok++;
+    // Stream outcomes pass ms=null: time-to-first-byte isn't comparable with full responses
+    if (ms != null) h.latencyMs = Math.round(h.latencyMs == null ? ms : h.latencyMs + HEALTH_ALPHA * (ms - h.latencyMs));
+    return;
+  }
+  h.fail++; h.streak++;
+  h.errRate = err + HEALTH_ALPHA * (1 - err);
+  h.lastError = { status, at: now, message: String(error || "").slice(0, 200) };
+  if (h.state === "half-open" || status === 404 || h.streak >= BREAKER_FAILURES) { h.state = "open"; h.openedAt = now; }
+}
+function healthSnapshot(provider) {
+  const out = {}, now = Date.now();
+  for (const [k, h] of health) {
+    if (!k.startsWith(`${provider.name}:`)) continue;
+    out[k.slice(provider.name.length + 1)] = {
+      state: h.state, ok: h.ok, fail: h.fail, errRate: +errRateAt(h, now).toFixed(3), latencyMs: h.latencyMs, lastError: h.lastError
+    };
+  }
+  return out;
+}
+
+/* ================== Rate limiting ================== */
+// Fixed windows per (client, mode). RATE_STORE picks where counters live:
+// memory (default; one warm instance), file (RATE_STORE_FILE; one host), redis (REDIS_URL; shared)
 function clientKey(headers) {
+  const install = headers["x-install-id"];
+  if (INSTALL_ID_RX.test(install || "")) return `i:${install}`;
+  // Old clients / scripts: IP+UA, hashed so no store ever holds a raw IP
   const ip = headers["x-forwarded-for"]?.split(",")[0]?.trim() || headers["client-ip"] || "0.0.0.0";
   const ua = headers["user-agent"] || "na";
-  return `${ip}::${ua.slice(0,80)}`;
+  return "n:" + crypto.createHash("sha256").update(`${ip}::${ua.slice(0,80)}`).digest("base64url").slice(0, 22);
 }
-function rateCheck(headers) {
-  const k = clientKey(headers);
+async function rateCheck(headers, mode) {
+  // Own keys only: a mode such as "constructor" must not pick up Object.prototype members
+  const scope = Object.hasOwn(RATE_BUDGETS, mode) ? mode : "default";
+  const limit = RATE_BUDGETS[scope];
   const now = Date.now();
-  const e = bucket.get(k);
-  if (!e || now > e.resetAt) {
-    bucket.set(k, { count: 1, resetAt: now + RATE_WINDOW_MS });
-    return { ok: true };
+  const resetAt = now - (now % RATE_WINDOW_MS) + RATE_WINDOW_MS;
+  let count;
+  try { count = await rateStore().hit(`rl:${clientKey(headers)}:${scope}:${resetAt}`, resetAt); }
+  catch (e) { console.warn("rate store unavailable, failing open:", String(e && e.message || e)); return { ok: true, headers: {} }; }
+  const retryAfter = Math.ceil((resetAt - now) / 1000);
+  return {
+    ok: count <= limit,
+    retryAfter,
+    scope,
+    headers: {
+      "X-RateLimit-Limit": String(limit),
+      "X-RateLimit-Remaining": String(Math.max(0, limit - count)),
+      "X-RateLimit-Reset": String(retryAfter), // seconds until the window resets
+      "X-RateLimit-Scope": scope
+    }
+  };
+}
+
+let store;
+function rateStore() {
+  if (store) return store;
+  const kind = (process.env.RATE_STORE || "memory").trim().toLowerCase();
+  if (kind === "redis" && process.env.REDIS_URL) store = redisStore(process.env.REDIS_URL);
+  else if (kind === "file") store = fileStore(process.env.RATE_STORE_FILE || path.join(os.tmpdir(), "sadiki-rate.json"));
+  else {
+    if (kind !== "memory") console.warn(`RATE_STORE=${kind} is not usable here; using memory`);
+    store = memoryStore();
   }
-  if (e.count >= RATE_MAX_REQ) return { ok: false, retryAfter: Math.ceil((e.resetAt - now)/1000) };
-  e.count++;
-  return { ok: true };
+  return store;
+}
+// Every store: hit(key, resetAt) → count in the window, after incrementing
+function memoryStore() {
+  const counts = new Map(); // key -> { count, resetAt }
+  return {
+    async hit(key, resetAt) {
+      const now = Date.now();
+      if (counts.size > 5000) for (const [k, e] of counts) if (e.resetAt <= now) counts.delete(k);
+      const e = counts.get(key) || { count: 0, resetAt };
+      e.count++;
+      counts.set(key, e);
+      return e.count;
+    }
+  };
+}
+// JSON file, read-modify-write with an atomic rename; hits are serialized within the process
+function fileStore(file) {
+  let queue = Promise.resolve();
+  const hit = async (key, resetAt) => {
+    const now = Date.now();
+    let data = {};
+    try { data = JSON.parse(await fs.promises.readFile(file, "utf8")) || {}; } catch { data = {}; }
+    for (const k of Object.keys(data)) if (!(data[k]?.resetAt > now)) delete data[k];
+    data[key] = { count: (data[key]?.count || 0) + 1, resetAt };
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(data));
+    await fs.promises.rename(tmp, file);
+    return data[key].count;
+  };
+  return { hit: (key, resetAt) => (queue = queue.then(() => hit(key, resetAt), () => hit(key, resetAt))) };
+}
+// Any RESP server (Redis, Valkey, KeyDB or a local stand-in): INCR + PEXPIREAT pipelined on a short-lived connection
+function redisStore(url) {
+  const u = new URL(url);
+  return {
+    async hit(key, resetAt) {
+      const cmds = [];
+      if (u.password) cmds.push(["AUTH", ...(u.username ? [decodeURIComponent(u.username)] : []), decodeURIComponent(u.password)]);
+      cmds.push(["INCR", key], ["PEXPIREAT", key, String(resetAt)]);
+      const replies = await redisPipeline(u, cmds);
+      return replies[replies.length - 2];
+    }
+  };
+}
+function redisPipeline(u, cmds) {
+  return new Promise((resolve, reject) => {
+    const opts = { host: u.hostname, port: Number(u.port) || 6379 };
+    const sock = u.protocol === "rediss:" ? require("tls").connect({ ...opts, servername: u.hostname }) : net.connect(opts);
+    const replies = [];
+    let buf = "";
+    const done = (err) => { sock.destroy(); if (err) reject(err); else resolve(replies); };
+    sock.setTimeout(REDIS_TIMEOUT_MS, () => done(new Error("Redis timeout")));
+    sock.on("error", done);
+    // Only single-line replies (+OK, :n, -ERR) are needed for these commands
+    sock.on("data", (chunk) => {
+      buf += chunk.toString("utf8");
+      let i;
+      while ((i = buf.indexOf("\r\n")) >= 0) {
+        const line = buf.slice(0, i);
+        buf = buf.slice(i + 2);
+        if (line[0] === "-") return done(new Error(line.slice(1)));
+        replies.push(line[0] === ":" ? Number(line.slice(1)) : line.slice(1));
+        if (replies.length === cmds.length) return done();
+      }
+    });
+    sock.write(cmds.map(c => `*${c.length}\r\n` + c.map(a => `$${Buffer.byteLength(a)}\r\n${a}\r\n`).join("")).join(""));
+  });
 }
 
 /* ================== Entry ================== */
-exports.handler = async (event) => {
+async function handle(event) {
   const reqId = (Math.random().toString(36).slice(2) + Date.now().toString(36)).toUpperCase();
   const started = Date.now();
 
   const baseHeaders = {
     "Access-Control-Allow-Origin": allowOrigin(event.headers),
-    "Access-Control-Allow-Headers": "Content-Type, X-Request-ID",
-    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, X-Request-ID, X-Install-ID",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Expose-Headers": "X-Request-ID, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-RateLimit-Scope, X-PII-Redacted, Retry-After",
     "X-Request-ID": reqId,
     "Vary": "Origin"
   };
   if (event.httpMethod === "OPTIONS") return { statusCode: 204, headers: baseHeaders, body: "" };
-  if (event.httpMethod !== "POST") return respond(405, baseHeaders, { error: "Method Not Allowed" });
 
-  // Basic in-function rate limiting (best-effort, warm invocations only)
-  const rl = rateCheck(event.headers || {});
-  if (!rl.ok) {
-    return respond(429, baseHeaders, {
-      error: "Rate limit exceeded",
-      requestId: reqId,
-      retry_after_seconds: rl.retryAfter
-    });
-  }
+  const provider = PROVIDERS[(process.env.LLM_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase()];
+  if (!provider) return respond(500, baseHeaders, { error: "Unknown LLM_PROVIDER", requestId: reqId });
+  const configError = provider.configError(process.env);
+  if (configError) return respond(500, baseHeaders, { error: configError, requestId: reqId });
 
-  const API_KEY = process.env.GEMINI_API_KEY;
-  if (!API_KEY) return respond(500, baseHeaders, { error: "Missing GEMINI_API_KEY", requestId: reqId });
+  // GET ?health → model stats of this warm instance (no prompts or client data in there)
+  if (event.httpMethod === "GET" && event.queryStringParameters?.health !== undefined) {
+    return respond(200, baseHeaders, { provider: provider.name, models: healthSnapshot(provider), requestId: reqId });
+  }
+  if (event.httpMethod !== "POST") return respond(405, baseHeaders, { error: "Method Not Allowed" });
 
   // ---------- Parse & validate input
   let body = {};
@@ -92,7 +309,7 @@ exports.handler = async (event) => {
     system = "",
     messages = [],          // [{role:'user'|'model'|'system', content:'text', images?:[], audio?:{...}}]
     model   = "auto",
-    mode    = "default",    // "default" | "plan" | "qa" | "image_brief"
+    mode    = "default",    // "default" | "plan" | "qa" | "report" | "image_brief" | "risk"
     force_lang,
     guard_level = "strict",
 
@@ -108,11 +325,51 @@ exports.handler = async (event) => {
     include_raw = false,
 
     // JSON enforcement (for plans, dashboards, etc.)
-    expect = ""             // "" | "json"
+    expect = "",            // "" | "json"
+    schema,                 // optional JSON Schema; validated server-side (implies expect=json, no streaming)
+
+    // Risk classifier context
+    age_band,
+
+    // PII types the parent enabled for this child; narrows PII_ENTITIES, never widens it
+    pii_entities
   } = body || {};
 
+  // Per-client, per-mode budget; the X-RateLimit-* headers ride on every response from here on
+  const rl = await rateCheck(event.headers || {}, mode);
+  Object.assign(baseHeaders, rl.headers);
+  if (!rl.ok) {
+    return respond(429, { ...baseHeaders, "Retry-After": String(rl.retryAfter) }, {
+      error: "Rate limit exceeded",
+      requestId: reqId,
+      scope: rl.scope,
+      retry_after_seconds: rl.retryAfter
+    });
+  }
+
   timeout_ms = clamp(timeout_ms, 1000, 29000, DEFAULT_TIMEOUT_MS);
 
+  // Risk mode: the classifier prompt is owned server-side; callers only supply the transcript
+  if (mode === "risk") {
+    if (!Array.isArray(messages)) messages = [];
+    messages = messages.slice(-RISK_CONTEXT_MESSAGES);
+    system = riskInstruction(AGE_BANDS.includes(age_band) ? age_band : "");
+    long = false;
+    expect = "json";
+    schema = RISK_SCHEMA;
+  }
+
+  if (schema !== undefined && schema !== null) {
+    if (!isObject(schema) || JSON.stringify(schema).length > MAX_SCHEMA_CHARS || schemaUses(schema, UNSUPPORTED_SCHEMA_KEYWORDS)) {
+      return respond(400, baseHeaders, { error: "Invalid schema", code: "BAD_SCHEMA", requestId: reqId });
+    }
+    expect = "json";
+    long = false;
+    stream = false; // validation needs the whole document
+  } else {
+    schema = undefined;
+  }
+
   // ---------- Sanitize messages (count/lengths)
   if (!Array.isArray(messages)) messages = [];
   if (messages.length > MAX_MESSAGES) messages = messages.slice(-MAX_MESSAGES);
@@ -126,7 +383,23 @@ exports.handler = async (event) => {
   // ---------- Language & guardrails
   const preview = sample(messages);
   const lang = chooseLang(force_lang, preview);
-  const rails = buildGuardrails({ lang, level: guard_level, imageMode: (mode === "image_brief") });
+
+  // ---------- PII redaction (second layer: the client scrubs before storage and send)
+  // Only message text is touched; the system prompt carries the child's profile on purpose.
+  // Every turn is redacted, but X-PII-Redacted counts only the newest user turn: the client adds
+  // the header to its audit, and older turns (or model replies) would be counted again each request.
+  const wanted = pii_entities === undefined ? null : parseEntities(Array.isArray(pii_entities) ? pii_entities : []);
+  const piiEntities = parseEntities(process.env.PII_ENTITIES).filter(type => !wanted || wanted.includes(type));
+  const newestUser = messages.map(m => m.role).lastIndexOf("user");
+  const redacted = {};
+  messages = messages.map((m, i) => {
+    const r = redact(m.content, { entities: piiEntities, placeholder: PLACEHOLDERS[lang] });
+    if (i === newestUser) mergeCounts(redacted, r.counts);
+    return r.total ? { ...m, content: r.text } : m;
+  });
+  if (Object.keys(redacted).length) baseHeaders["X-PII-Redacted"] = formatCounts(redacted);
+
+  const rails = buildGuardrails({ lang, level: guard_level, imageMode: (mode === "image_brief"), hasImages: messages.some(m => m.images?.length) });
 
   // ---------- Normalize messages (+ media)
   let contents = normalizeMessages(messages, rails);
@@ -138,18 +411,23 @@ exports.handler = async (event) => {
   }
 
   const generationConfig = tuneGeneration(mode, expect);
-  const safetySettings   = buildSafety(guard_level);
+  // The classifier must be able to read harmful disclosures; blocking them would hide the signal
+  const safetySettings   = buildSafety(mode === "risk" ? "relaxed" : guard_level);
 
   const systemInstruction = (system && typeof system === "string" && system.trim())
     ? { role: "system", parts: [{ text: system }] }
     : undefined;
 
-  // ---------- Model candidates
+  // Provider-neutral request; each provider maps it onto its own wire format
+  const payload = () => ({ contents, generationConfig, safetySettings, systemInstruction, schema, mode, lang });
+
+  // ---------- Model candidates (an explicitly requested model bypasses ranking and the breaker)
+  const ranked = rankModels(provider, provider.models(process.env), mode);
   const candidates = (model === "auto" || !model)
-    ? [...MODEL_POOL]
-    : Array.from(new Set([model, ...MODEL_POOL]));
+    ? ranked
+    : Array.from(new Set([model, ...ranked]));
 
-  // ---------- Streaming path (SSE)
+  // ---------- Streaming path (SSE): events are forwarded as soon as the provider emits them
   if (stream) {
     const sseHeaders = {
       ...baseHeaders,
@@ -159,40 +437,14 @@ exports.handler = async (event) => {
     };
     for (let mi = 0; mi < candidates.length; mi++) {
       const m = candidates[mi];
-      const url = makeUrl(m, true, API_KEY);
-      const reqBody = JSON.stringify({ contents, generationConfig, safetySettings, ...(systemInstruction ? { systemInstruction } : {}) });
-
-      const once = await tryStreamOnce(url, reqBody, timeLeft(started, timeout_ms));
+      admit(provider, m);
+      const once = await tryStreamOnce(provider, provider.request(m, payload(), true, process.env), timeLeft(started, timeout_ms), baseHeaders);
+      recordOutcome(provider, m, once.ok ? 200 : once.errorResp.statusCode, null, once.ok ? "" : safeParse(once.errorResp.body)?.message);
       if (once.ok) {
-        const reader = once.response.body.getReader();
-        const encoder = new TextEncoder();
-
         return {
           statusCode: 200,
           headers: sseHeaders,
-          body: await streamBody(async function*() {
-            yield encoder.encode(`event: meta\ndata: ${JSON.stringify({ requestId: reqId, model: m, lang })}\n\n`);
-            // heartbeats to keep connection alive for long generations
-            let hb = Date.now();
-            let buffer = "";
-            while (true) {
-              const { done, value } = await reader.read();
-              if (done) break;
-              buffer += Buffer.from(value).toString("utf8");
-              const lines = buffer.split("\n");
-              buffer = lines.pop() || "";
-              for (const line of lines) {
-                const trimmed = line.trim();
-                if (!trimmed) continue;
-                yield encoder.encode(`event: chunk\ndata: ${trimmed}\n\n`);
-              }
-              if (Date.now() - hb > 5000) {
-                hb = Date.now();
-                yield encoder.encode(`event: ping\ndata: {}\n\n`);
-              }
-            }
-            yield encoder.encode(`event: end\ndata: ${JSON.stringify({ model: m, took_ms: Date.now() - started })}\n\n`);
-          })
+          body: Readable.from(sseEvents(once.response, { reqId, provider, model: m, lang, started, deadline: started + timeout_ms }))
         };
       }
       if (mi === candidates.length - 1) {
@@ -204,25 +456,29 @@ exports.handler = async (event) => {
   // ---------- Non-stream with fallback + auto-continue
   for (let mi = 0; mi < candidates.length; mi++) {
     const m = candidates[mi];
-    const url = makeUrl(m, false, API_KEY);
-    const makeBody = () => JSON.stringify({
-      contents, generationConfig, safetySettings, ...(systemInstruction ? { systemInstruction } : {})
-    });
+    const makeReq = (cfg = generationConfig) => provider.request(m, { ...payload(), generationConfig: cfg }, false, process.env);
+    const send = async (req, raw) => {
+      const t0 = Date.now();
+      const res = await tryJSONOnce(provider, req, timeLeft(started, timeout_ms), raw);
+      const blocked = !res.ok && res.error?.error === "Empty/blocked response";
+      recordOutcome(provider, m, (res.ok || blocked) ? 200 : res.statusCode, Date.now() - t0, res.error?.message || res.error?.details);
+      return res;
+    };
+    admit(provider, m);
 
     // Attempt 1
-    const first = await tryJSONOnce(url, makeBody(), timeLeft(started, timeout_ms), include_raw);
+    let first = await send(makeReq(), include_raw);
+    // Strict fallback for plan/qa when blocked/empty
+    if (!first.ok && (mode === "plan" || mode === "qa" || mode === "report" || mode === "risk" || expect === "json") && first.error && /Empty\/blocked|safety/i.test(first.error.error || "")) {
+      const second = await send(makeReq(tuneGeneration("qa", "json")), include_raw);
+      if (second.ok) first = second;
+    }
     if (!first.ok) {
-      // Strict fallback for plan/qa when blocked/empty
-      if ((mode === "plan" || mode === "qa" || expect === "json") && first.error && /Empty\/blocked|safety/i.test(first.error.error || "")) {
-        const strictCfg = tuneGeneration("qa", "json");
-        const altBody = () => JSON.stringify({ contents, generationConfig: strictCfg, safetySettings, ...(systemInstruction ? { systemInstruction } : {}) });
-        const second = await tryJSONOnce(url, altBody(), timeLeft(started, timeout_ms), include_raw);
-        if (second.ok) return ok(baseHeaders, reqId, finalize(second.text, lang, expect, mode), m, lang, started, second.usage);
-      }
       if (mi === candidates.length - 1) {
         return respond(first.statusCode || 502, baseHeaders, {
           error: "Upstream error",
           requestId: reqId,
+          provider: provider.name,
           modelTried: m,
           upstream: first.error || { error: "Unknown upstream error" }
         });
@@ -237,31 +493,60 @@ exports.handler = async (event) => {
     while (long && chunks < clamp(max_chunks, 1, 12, 4) && shouldContinue(text) && timeLeft(started, timeout_ms) > 2500) {
       contents.push({ role: "model", parts: [{ text }] });
       contents.push({ role: "user",  parts: [{ text: continuePrompt(lang) }] });
-      const next = await tryJSONOnce(url, makeBody(), timeLeft(started, timeout_ms), false);
+      const next = await send(makeReq(), false);
       if (!next.ok) break;
       const append = dedupeContinuation(text, next.text);
       text += (append ? ("\n" + append) : "");
       chunks++;
     }
 
-    return ok(baseHeaders, reqId, finalize(text, lang, expect, mode), m, lang, started, first.usage);
+    // Schema: validate, then one targeted repair turn listing the violations before giving up with typed errors
+    if (schema) {
+      let checked = checkJson(text, schema);
+      let repairs = 0;
+      while (!checked.ok && repairs < SCHEMA_REPAIR_ROUNDS && timeLeft(started, timeout_ms) > 2500) {
+        contents.push({ role: "model", parts: [{ text }] });
+        contents.push({ role: "user",  parts: [{ text: repairPrompt(lang, checked.errors) }] });
+        repairs++;
+        const fix = await send(makeReq(tuneGeneration("qa", "json")), false);
+        if (!fix.ok) break;
+        text = fix.text;
+        checked = checkJson(text, schema);
+      }
+      if (!checked.ok) {
+        return respond(422, baseHeaders, {
+          error: "Schema validation failed",
+          code: checked.code,
+          errors: checked.errors,
+          repairs,
+          requestId: reqId,
+          provider: provider.name,
+          model: m
+        });
+      }
+      const json = mode === "risk" ? (normalizeRisk(checked.json) || checked.json) : checked.json;
+      return ok(baseHeaders, reqId, JSON.stringify(json), provider, m, lang, started, first.usage);
+    }
+
+    return ok(baseHeaders, reqId, finalize(text, lang, expect, mode), provider, m, lang, started, first.usage);
   }
 
   return respond(500, baseHeaders, { error: "Unknown failure", requestId: reqId, lang });
-};
+}
+
+// Netlify provides `awslambda` when response streaming is available; stream bodies are then
+// flushed to the client as they are produced. Elsewhere (local harnesses) they are buffered.
+exports.handler = (typeof awslambda !== "undefined")
+  ? streamResponse(handle)
+  : async (event, context) => bufferBody(await handle(event, context));
 
 /* ================== Helpers ================== */
 function respond(code, headers, obj) {
   return { statusCode: code, headers: { ...headers, "Content-Type": "application/json; charset=utf-8" }, body: JSON.stringify(obj || {}) };
 }
-function ok(h, id, text, model, lang, started, usage) {
+function ok(h, id, text, provider, model, lang, started, usage) {
   return { statusCode: 200, headers: { ...h, "Content-Type": "application/json; charset=utf-8" },
-    body: JSON.stringify({ text, model, lang, requestId: id, took_ms: Date.now() - started, usage }) };
-}
-function makeUrl(model, isStream, key) {
-  const base = "https://generativelanguage.googleapis.com/v1beta/models";
-  const method = isStream ? "streamGenerateContent" : "generateContent";
-  return `${base}/${encodeURIComponent(model)}:${method}?key=${key}`;
+    body: JSON.stringify({ text, provider: provider.name, model, lang, requestId: id, took_ms: Date.now() - started, usage }) };
 }
 function timeLeft(start, total) { return Math.max(0, total - (Date.now() - start)); }
 function clamp(n, min, max, def) { const v = Number.isFinite(+n) ? +n : def; return Math.max(min, Math.min(max, v)); }
@@ -282,22 +567,26 @@ function allowOrigin(headers) {
 }
 
 /* ---------- Guardrails & wrapping ---------- */
-function buildGuardrails({ lang, level = "strict", imageMode = false }) {
+// img shapes an image_brief answer; imgPrivacy applies to any request that carries images (e.g. a child's drawing in chat)
+function buildGuardrails({ lang, level = "strict", imageMode = false, hasImages = false }) {
   const L = (lang === "ar")
     ? {
         mirror: "أجب حصراً بالعربية؛ لا تخلط لغتين ولا تضف ترجمات.",
         brief:  "اختصر الحشو وقدّم خطوات عملية واضحة.",
         img:    "إن وُجدت صور: 3–5 نقاط تنفيذية + خطوة فورية واحدة. بلا مقدمات.",
+        imgPrivacy: "في الصور: لا تصف ملامح الوجوه ولا تتعرّف على الأشخاص ولا تنقل أي كتابة تعرّف بهوية أو مكان.",
         strict: "لا تختلق. عند الشك اطلب توضيحاً. التزم بمعايير سلامة الطفل وقوانين دولة الإمارات."
       }
     : {
         mirror: "Answer strictly in English; don't mix languages or add translations.",
         brief:  "Be concise and actionable.",
         img:    "If images present: 3–5 precise bullets + one immediate step. No preamble.",
+        imgPrivacy: "In images: never describe facial features, identify people, or repeat visible text that reveals identity or location.",
         strict: "No fabrication. Ask for missing info. Adhere to child-safety norms applicable in the UAE."
       };
   const out = [L.mirror, L.brief];
   if (imageMode) out.push(L.img);
+  if (imageMode || hasImages) out.push(L.imgPrivacy);
   if (level !== "relaxed") out.push(L.strict);
   return out.join("\n");
 }
@@ -316,7 +605,7 @@ function normalizeMessages(messages, guard) {
       const parts = [];
       const raw = (typeof m.content === "string" && m.content.trim()) ? m.content : "";
       if (!injected && m.role === "user") {
-        parts.push({ text: wrapPrompt(raw, buildGuardrails({ lang: chooseLang(undefined, raw), level: "strict" })) });
+        parts.push({ text: wrapPrompt(raw, guard) });
         injected = true;
       } else if (raw) {
         parts.push({ text: raw });
@@ -382,6 +671,9 @@ function approxBase64Bytes(b64) {
 /* ---------- Generation tuning ---------- */
 function tuneGeneration(mode, expect = "") {
   const wantsJson = expect === "json";
+  if (mode === "risk") {
+    return { temperature: 0, topP: 0.8, maxOutputTokens: 512, candidateCount: 1, responseMimeType: "application/json" };
+  }
   if (mode === "qa" || wantsJson) {
     return {
       temperature: 0.22,
@@ -400,6 +692,9 @@ function tuneGeneration(mode, expect = "") {
       responseMimeType: "application/json"
     };
   }
+  if (mode === "report") {
+    return { temperature: 0.3, topP: 0.88, maxOutputTokens: 2048, candidateCount: 1, responseMimeType: "application/json" };
+  }
   if (mode === "image_brief") {
     return { temperature: 0.25, topP: 0.85, maxOutputTokens: 1536, candidateCount: 1, responseMimeType: "text/plain" };
   }
@@ -417,6 +712,226 @@ function buildSafety(level = "strict") {
   ];
 }
 
+/* ---------- Providers ---------- */
+// Requests are built Gemini-shaped ({ contents, systemInstruction, generationConfig, safetySettings });
+// each provider maps that onto its wire format and parses replies (full or one SSE event) into
+// { text, usage, finishReason, blocked, safety } with usage in Gemini's token-count names.
+const GEMINI_BASE = "https://generativelanguage.googleapis.com/v1beta/models"; // GEMINI_BASE_URL overrides (gateways, test servers)
+const SAFETY_TOPICS = {
+  HARM_CATEGORY_HARASSMENT: "harassment",
+  HARM_CATEGORY_HATE_SPEECH: "hate speech",
+  HARM_CATEGORY_SEXUALLY_EXPLICIT: "sexually explicit material",
+  HARM_CATEGORY_DANGEROUS_CONTENT: "dangerous instructions"
+};
+const PROVIDERS = {
+  gemini: {
+    name: "gemini",
+    configError: (env) => env.GEMINI_API_KEY ? "" : "Missing GEMINI_API_KEY",
+    models: () => MODEL_POOL,
+    preferences: MODE_PREFERENCES,
+    request(model, p, isStream, env) {
+      const method = isStream ? "streamGenerateContent?alt=sse&" : "generateContent?";
+      const generationConfig = p.schema
+        ? { ...p.generationConfig, responseMimeType: "application/json", responseSchema: toGeminiSchema(p.schema) }
+        : p.generationConfig;
+      const base = (env.GEMINI_BASE_URL || GEMINI_BASE).replace(/\/+$/, "");
+      return post(`${base}/${encodeURIComponent(model)}:${method}key=${env.GEMINI_API_KEY}`, {}, {
+        contents: p.contents, generationConfig, safetySettings: p.safetySettings,
+        ...(p.systemInstruction ? { systemInstruction: p.systemInstruction } : {})
+      });
+    },
+    parse(json, sep) {
+      const cand = json?.candidates?.[0];
+      const u = json?.usageMetadata;
+      return {
+        text: (cand?.content?.parts || []).map(p => p?.text || "").join(sep),
+        usage: u ? { promptTokenCount: u.promptTokenCount, candidatesTokenCount: u.candidatesTokenCount, totalTokenCount: u.totalTokenCount } : undefined,
+        finishReason: cand?.finishReason,
+        blocked: json?.promptFeedback?.blockReason ? json.promptFeedback : undefined,
+        safety: json?.promptFeedback || cand?.safetyRatings
+      };
+    }
+  },
+
+  // Any /v1/chat/completions server: llama.cpp, Ollama, vLLM, hosted OpenAI. OPENAI_MODEL may list fallbacks.
+  openai: {
+    name: "openai",
+    configError: (env) => env.OPENAI_MODEL ? "" : "Missing OPENAI_MODEL",
+    models: (env) => env.OPENAI_MODEL.split(",").map(s => s.trim()).filter(Boolean),
+    request(model, p, isStream, env) {
+      const base = (env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE).replace(/\/+$/, "");
+      const cfg = p.generationConfig || {};
+      return post(`${base}/chat/completions`, env.OPENAI_API_KEY ? { Authorization: `Bearer ${env.OPENAI_API_KEY}` } : {}, {
+        model,
+        messages: toOpenAIMessages(p),
+        temperature: cfg.temperature,
+        top_p: cfg.topP,
+        max_tokens: cfg.maxOutputTokens,
+        ...(p.schema ? { response_format: { type: "json_schema", json_schema: { name: `${p.mode || "reply"}_schema`, schema: p.schema } } }
+          : cfg.responseMimeType === "application/json" ? { response_format: { type: "json_object" } } : {}),
+        ...(isStream ? { stream: true, stream_options: { include_usage: true } } : {})
+      });
+    },
+    parse(json) {
+      const choice = json?.choices?.[0];
+      const u = json?.usage;
+      const filtered = choice?.finish_reason === "content_filter" ? { blockReason: "content_filter" } : undefined;
+      return {
+        text: (choice?.delta?.content ?? choice?.message?.content) || "",
+        usage: u ? { promptTokenCount: u.prompt_tokens, candidatesTokenCount: u.completion_tokens, totalTokenCount: u.total_tokens } : undefined,
+        finishReason: choice?.finish_reason || undefined,
+        blocked: filtered,
+        safety: filtered
+      };
+    }
+  },
+
+  // Deterministic offline backend: canned replies per mode and language, no network
+  mock: {
+    name: "mock",
+    configError: () => "",
+    models: () => ["mock"],
+    request: (model, p, isStream) => post(`mock://${model}`, {}, {
+      mode: p.mode, lang: p.lang, stream: isStream, contents: p.contents,
+      json: p.generationConfig?.responseMimeType === "application/json",
+      relaxed: p.safetySettings.every(s => s.threshold === "BLOCK_NONE")
+    }),
+    fetch: async (url, init) => mockReply(JSON.parse(init.body)),
+    parse: (json) => ({ text: json?.text || "", usage: json?.usage, finishReason: json?.finishReason, blocked: json?.blocked, safety: json?.blocked })
+  }
+};
+function post(url, headers, body) {
+  return { url, init: { method: "POST", headers: { "Content-Type": "application/json", ...headers }, body: JSON.stringify(body) } };
+}
+
+// OpenAI-compatible servers have no per-category thresholds; the policy is stated in the system message instead
+function safetyNote(settings) {
+  const topics = (settings || []).filter(s => s.threshold !== "BLOCK_NONE").map(s => SAFETY_TOPICS[s.category]).filter(Boolean);
+  return topics.length ? `Safety policy: never produce ${topics.join(", ")}.` : "";
+}
+function toOpenAIMessages({ contents, systemInstruction, safetySettings }) {
+  const system = [(systemInstruction?.parts || []).map(p => p.text).join("\n"), safetyNote(safetySettings)].filter(Boolean).join("\n\n");
+  const out = system ? [{ role: "system", content: system }] : [];
+  for (const c of contents) {
+    const parts = c.parts.map(toOpenAIPart).filter(Boolean);
+    if (!parts.length) continue;
+    // Plain strings for text-only turns: several local servers reject content arrays on non-vision models
+    const textOnly = parts.every(p => p.type === "text");
+    out.push({ role: c.role === "model" ? "assistant" : c.role, content: textOnly ? parts.map(p => p.text).join("\n") : parts });
+  }
+  return out;
+}
+function toOpenAIPart(p) {
+  if (p.text) return { type: "text", text: p.text };
+  const { mime_type: mime = "", data } = p.inline_data || {};
+  if (ALLOWED_IMAGE.test(mime)) return { type: "image_url", image_url: { url: `data:${mime};base64,${data}` } };
+  if (ALLOWED_AUDIO.test(mime)) return { type: "input_audio", input_audio: { data, format: mime.split("/")[1].replace("mpeg", "mp3") } };
+  return null;
+}
+
+/* ---------- Mock backend ---------- */
+// Chat replies follow the client's layout: question paragraph, blank line, then "- " options.
+// Directives in the child's last message exercise edge paths offline:
+// [mock:blocked] → safety block (unless relaxed), [mock:risk] → high self-harm classification.
+// An audio part in the last user turn with JSON expected is answered with a fixed transcript.
+const MOCK_REPLIES = {
+  ar: {
+    chat: [
+      "أهلاً بك! أنا سعيد بالحديث معك 🌟\nكيف تشعر اليوم؟\n\n- سعيد\n- عادي\n- متضايق",
+      "شكرًا لأنك أخبرتني. ماذا تحب أن نفعل الآن؟\n\n- نلعب لعبة المشاعر\n- نتدرّب على التنفّس\n- نكمل الحديث",
+      "فكرة رائعة! لنأخذ نفسًا عميقًا معًا ثلاث مرات. هل تشعر بتحسّن؟\n\n- نعم\n- قليلًا\n- لا"
+    ],
+    plan: {
+      analysisSummary: "يظهر التوتر في المواقف الجديدة ويخفّ مع التهيئة المسبقة والمديح المحدد.",
+      needsHypothesis: ["مهارة تسمية المشاعر", "روتين تهيئة قبل المواقف الجديدة", "تعزيز المحاولات الصغيرة"],
+      planSteps: [
+        "تسمية شعور واحد يوميًا لمدة 5 دقائق طوال أسبوع",
+        "قراءة قصة اجتماعية قصيرة قبل المدرسة 4 أيام أسبوعيًا",
+        "نجمة عند كل محاولة مشاركة، والانتقال للخطوة التالية بعد 3 نجاحات متتالية"
+      ],
+      initialAssessment: {
+        intro: "مرحبًا! سأسألك سؤالين قصيرين لنتعرّف على بعض.",
+        items: [
+          { type: "choice", q: "كيف تشعر عندما تذهب إلى مكان جديد؟", options: [{ label: "مرتاح", weight: 0 }, { label: "متوتر قليلًا", weight: 1 }, { label: "خائف جدًا", weight: 2 }] },
+          { type: "selfCheck", q: "كم تثق بنفسك من 0 إلى 10؟", scaleMin: 0, scaleMax: 10, needWhen: "low" }
+        ],
+        scoring: "مجموع الأوزان إلى منخفض/متوسط/مرتفع"
+      }
+    },
+    report: {
+      headline: "أسبوع هادئ والبيانات ما زالت قليلة.",
+      moodTrend: { direction: "unclear", summary: "البيانات قليلة لاستخلاص اتجاه واضح للمزاج." },
+      moodByDay: [],
+      skillsPractised: ["تسمية المشاعر"],
+      wins: ["أكمل الطفل جلسة محادثة كاملة"],
+      concerns: [],
+      nextWeekFocus: ["جلسة قصيرة يوميًا في الوقت نفسه"]
+    },
+    risk: { category: "none", severity: "none", rationale: "لا مؤشرات خطر في الرسالة." },
+    riskHigh: { category: "self-harm", severity: "high", rationale: "إشارة تجريبية من الخادم الوهمي." },
+    transcript: "أنا سعيد اليوم"
+  },
+  en: {
+    chat: [
+      "Hi there! I'm happy to talk with you 🌟\nHow are you feeling today?\n\n- Happy\n- Okay\n- Upset",
+      "Thanks for telling me. What would you like to do now?\n\n- Play a feelings game\n- Practise breathing\n- Keep talking",
+      "Great idea! Let's take three deep breaths together. Do you feel better?\n\n- Yes\n- A little\n- No"
+    ],
+    plan: {
+      analysisSummary: "Tension shows in new situations and eases with advance preparation and specific praise.",
+      needsHypothesis: ["Naming feelings", "A preparation routine before new situations", "Reinforcing small attempts"],
+      planSteps: [
+        "Name one feeling daily for 5 minutes for a week",
+        "Read a short social story before school 4 days a week",
+        "A star for every attempt to join in; move on after 3 successes in a row"
+      ],
+      initialAssessment: {
+        intro: "Hi! I'll ask you two short questions so we can get to know each other.",
+        items: [
+          { type: "choice", q: "How do you feel when you go somewhere new?", options: [{ label: "Relaxed", weight: 0 }, { label: "A bit nervous", weight: 1 }, { label: "Very scared", weight: 2 }] },
+          { type: "selfCheck", q: "How confident do you feel from 0 to 10?", scaleMin: 0, scaleMax: 10, needWhen: "low" }
+        ],
+        scoring: "Sum of weights mapped to low/medium/high"
+      }
+    },
+    report: {
+      headline: "A calm week with little data so far.",
+      moodTrend: { direction: "unclear", summary: "Too little data to tell a clear mood direction." },
+      moodByDay: [],
+      skillsPractised: ["Naming feelings"],
+      wins: ["Finished a full chat session"],
+      concerns: [],
+      nextWeekFocus: ["A short daily session at the same time"]
+    },
+    risk: { category: "none", severity: "none", rationale: "No risk signals in the message." },
+    riskHigh: { category: "self-harm", severity: "high", rationale: "Test signal from the mock backend." },
+    transcript: "I'm happy today"
+  }
+};
+function mockReply({ mode, lang, stream, contents, json, relaxed }) {
+  const turns = contents.filter(c => c.role === "user");
+  const last = (turns[turns.length - 1]?.parts || []).map(p => p.text || "").join("\n");
+  const heard = (turns[turns.length - 1]?.parts || []).some(p => /^audio\//.test(p.inline_data?.mime_type || ""));
+  const r = MOCK_REPLIES[lang === "en" ? "en" : "ar"];
+  let out;
+  if (!relaxed && /\[mock:blocked\]/i.test(last)) {
+    out = { blocked: { blockReason: "SAFETY" } };
+  } else {
+    const text = mode === "risk" ? JSON.stringify(/\[mock:risk\]/i.test(last) ? r.riskHigh : r.risk)
+      : (mode === "plan" || mode === "report") ? JSON.stringify(r[mode])
+      : json ? JSON.stringify(heard ? { transcript: r.transcript } : {})
+      : r.chat[contents.filter(c => c.role === "model").length % r.chat.length];
+    const prompt = Math.ceil(contents.flatMap(c => c.parts).reduce((n, p) => n + (p.text || "").length, 0) / 4);
+    const reply = Math.ceil(text.length / 4);
+    out = { text, finishReason: "STOP", usage: { promptTokenCount: prompt, candidatesTokenCount: reply, totalTokenCount: prompt + reply } };
+  }
+  if (!stream) return new Response(JSON.stringify(out), { status: 200, headers: { "Content-Type": "application/json" } });
+  // Line-sized chunks so clients see progressive rendering; the last event carries usage
+  const chunks = out.text ? out.text.match(/[^\n]*\n?/g).filter(Boolean).map(text => ({ text })) : [];
+  const events = [...chunks, { ...out, text: "" }].map(e => `data: ${JSON.stringify(e)}\n\n`).join("");
+  return new Response(events, { status: 200, headers: { "Content-Type": "text/event-stream" } });
+}
+
 /* ---------- Auto-continue helpers ---------- */
 function continuePrompt(lang) {
   return (lang === "ar")
@@ -437,9 +952,10 @@ function dedupeContinuation(prev, next) {
 
 /* ---------- JSON enforcement/finalization ---------- */
 function finalize(text, lang, expect, mode) {
-  const expectingJson = (expect === "json" || mode === "plan" || mode === "qa");
+  const expectingJson = (expect === "json" || mode === "plan" || mode === "qa" || mode === "report" || mode === "risk");
 
   if (expectingJson) {
+    // Schema-less JSON (risk always carries RISK_SCHEMA and is finalized by the schema path)
     const repaired = tryExtractJson(text);
     if (repaired.ok) {
       // Return JSON string (not polluted by language mirror) so client can JSON.parse(response.text)
@@ -461,45 +977,186 @@ function tryExtractJson(s) {
   catch { return { ok: false }; }
 }
 
+/* ---------- JSON Schema ---------- */
+// Validator for the subset the app's schemas use: type, enum, const, properties, required,
+// additionalProperties, items, min/maxItems, min/maxLength, minimum/maximum, anyOf, oneOf.
+// Errors are { path (JSON Pointer), keyword, message } so callers and the repair prompt can target them.
+function validateSchema(value, schema, path = "", errors = []) {
+  if (!isObject(schema) || errors.length >= MAX_SCHEMA_ERRORS) return errors;
+  const fail = (keyword, message, at = path) => errors.push({ path: at || "/", keyword, message });
+  const alts = schema.anyOf || schema.oneOf;
+  if (Array.isArray(alts)) {
+    const results = alts.map(alt => validateSchema(value, alt, path));
+    const matches = results.filter(r => !r.length).length;
+    if (schema.anyOf ? !matches : matches !== 1) {
+      if (matches > 1) { fail("oneOf", "matches more than one alternative"); return errors; }
+      // Report the closest alternative's errors — more useful than "no alternative matched"
+      errors.push(...results.reduce((a, b) => (b.length < a.length ? b : a)).slice(0, MAX_SCHEMA_ERRORS - errors.length));
+      return errors;
+    }
+  }
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => jsonTypeIs(value, t))) { fail("type", `expected ${types.join(" or ")}, got ${jsonTypeOf(value)}`); return errors; }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some(v => v === value)) fail("enum", `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(", ")}`);
+  if ("const" in schema && schema.const !== value) fail("const", `must be ${JSON.stringify(schema.const)}`);
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail("minLength", `must have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail("maxLength", `must have at most ${schema.maxLength} characters`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail("minimum", `must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail("maximum", `must be <= ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail("minItems", `must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail("maxItems", `must have at most ${schema.maxItems} items`);
+    if (isObject(schema.items)) value.forEach((v, i) => validateSchema(v, schema.items, `${path}/${i}`, errors));
+  }
+  if (isObject(value)) {
+    const props = isObject(schema.properties) ? schema.properties : {};
+    for (const k of (Array.isArray(schema.required) ? schema.required : [])) {
+      if (!(k in value)) fail("required", `missing property "${k}"`, `${path}/${k}`);
+    }
+    for (const [k, v] of Object.entries(value)) {
+      if (props[k]) validateSchema(v, props[k], `${path}/${k}`, errors);
+      else if (schema.additionalProperties === false) fail("additionalProperties", `unexpected property "${k}"`, `${path}/${k}`);
+    }
+  }
+  return errors.slice(0, MAX_SCHEMA_ERRORS);
+}
+function checkJson(text, schema) {
+  const parsed = parseJsonReply(text);
+  if (!parsed.ok) return { ok: false, code: "INVALID_JSON", errors: [{ path: "/", keyword: "json", message: "reply is not valid JSON" }] };
+  const errors = validateSchema(parsed.json, schema);
+  return errors.length ? { ok: false, code: "SCHEMA_VIOLATION", errors } : { ok: true, json: parsed.json };
+}
+// Whole reply first; the brace-slicing extractor only rescues pre/postamble around one object
+function parseJsonReply(text) {
+  const raw = String(text || "").replace(/```json|```/g, "").trim();
+  try { return { ok: true, json: JSON.parse(raw) }; }
+  catch { return tryExtractJson(raw); }
+}
+function repairPrompt(lang, errors) {
+  const list = errors.map(e => `- ${e.path}: ${e.message}`).join("\n");
+  return (lang === "ar")
+    ? `الـJSON السابق لا يطابق البنية المطلوبة:\n${list}\nأعد JSON كاملًا مصحّحًا فقط، مع إبقاء المحتوى قدر الإمكان ودون أي نص آخر.`
+    : `The previous JSON does not match the required structure:\n${list}\nReturn only the complete corrected JSON, keeping the content where possible, with no other text.`;
+}
+// Gemini's responseSchema is an OpenAPI subset: upper-case types, string-only enums, no anyOf on
+// older models. Alternatives are merged (union of properties, shared required); validateSchema stays exact.
+function toGeminiSchema(schema) {
+  if (!isObject(schema)) return undefined;
+  const alts = schema.anyOf || schema.oneOf;
+  if (Array.isArray(alts) && alts.length) {
+    const merged = alts.map(toGeminiSchema).filter(Boolean);
+    const objects = merged.filter(s => s.type === "OBJECT");
+    if (objects.length !== merged.length) return merged[0];
+    const properties = {};
+    for (const s of objects) {
+      for (const [k, v] of Object.entries(s.properties || {})) {
+        const prev = properties[k];
+        properties[k] = (prev?.enum && v.enum) ? { ...prev, enum: [...new Set([...prev.enum, ...v.enum])] } : (prev || v);
+      }
+    }
+    const required = (objects[0].required || []).filter(k => objects.every(s => (s.required || []).includes(k)));
+    return { type: "OBJECT", properties, ...(required.length ? { required } : {}) };
+  }
+  const types = [].concat(schema.type || []);
+  const type = types.find(t => t !== "null");
+  const out = {};
+  if (type) out.type = String(type).toUpperCase();
+  if (types.includes("null")) out.nullable = true;
+  if (typeof schema.description === "string") out.description = schema.description;
+  const enumVals = Array.isArray(schema.enum) ? schema.enum : ("const" in schema ? [schema.const] : null);
+  if (enumVals && enumVals.every(v => typeof v === "string")) { out.enum = enumVals; out.type = out.type || "STRING"; }
+  if (isObject(schema.properties)) {
+    out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toGeminiSchema(v)]));
+    if (Array.isArray(schema.required)) out.required = schema.required;
+  }
+  if (isObject(schema.items)) out.items = toGeminiSchema(schema.items);
+  if (schema.minItems !== undefined) out.minItems = schema.minItems;
+  if (schema.maxItems !== undefined) out.maxItems = schema.maxItems;
+  return out;
+}
+function isObject(v) { return !!v && typeof v === "object" && !Array.isArray(v); }
+function jsonTypeOf(v) { return v === null ? "null" : Array.isArray(v) ? "array" : Number.isInteger(v) ? "integer" : typeof v; }
+function jsonTypeIs(v, t) { return t === "number" ? typeof v === "number" && Number.isFinite(v) : jsonTypeOf(v) === t; }
+// True when the schema or any nested subschema uses one of the keywords
+function schemaUses(schema, keywords) {
+  if (!isObject(schema)) return false;
+  if (keywords.some(k => k in schema)) return true;
+  const children = [
+    ...(isObject(schema.properties) ? Object.values(schema.properties) : []),
+    schema.items,
+    ...[].concat(schema.anyOf || [], schema.oneOf || [])
+  ];
+  return children.some(s => schemaUses(s, keywords));
+}
+
+/* ---------- Risk classifier ---------- */
+function riskInstruction(ageBand) {
+  const ageNote = {
+    "3-7":   "الطفل بين 3 و7 سنوات: تعبيره بسيط وغير مباشر (مثل: \"أحد يوجعني\"، \"ما أبي أرجع البيت\")؛ خذ الإشارات الجسدية والخوف على محمل الجد.",
+    "8-12":  "الطفل بين 8 و12 سنة: قد يصف التنمّر أو الإساءة كأحداث عادية أو يستخدم مزاحًا؛ ميّز اللعب من الأذى الحقيقي.",
+    "13-18": "المراهق بين 13 و18 سنة: قد يلمّح لإيذاء النفس بشكل غير مباشر (مثل: \"ما في فايدة\"، \"محد راح يفقدني\") أو بالإنجليزية/العربيزي."
+  }[ageBand] || "العمر غير محدد: افترض طفلًا في سن المدرسة.";
+  return [
+    "أنت مصنّف مخاطر لسلامة الطفل في تطبيق إرشاد تربوي بدولة الإمارات. لا تحاور الطفل؛ صنّف فقط.",
+    "قيّم آخر رسالة من الطفل (user) في ضوء المحادثة السابقة، ومعها أي رسمة أو صورة أرفقها: ما ترسمه قد يُفصح عمّا لا يقوله.",
+    "افهم الأخطاء الإملائية واللهجات الخليجية والعامية والعربيزي والإنجليزية والإفصاح غير المباشر.",
+    "لا تصنّف الكلمات البريئة التي تحتوي حروفًا مشابهة (مثل: سبب، سبورة) ولا العنف الخيالي في الألعاب أو القصص ما لم يرتبط بواقع الطفل.",
+    ageNote,
+    `الفئات: ${RISK_CATEGORIES.join(" | ")}. الخطورة: ${RISK_SEVERITIES.join(" | ")}.`,
+    "high: خطر فوري أو إفصاح عن إيذاء النفس أو إساءة جسدية/جنسية أو تهديد بسلاح. medium: تنمّر أو عنف متكرر يحتاج تدخل الأهل قريبًا. low: ضيق عابر أو نزاع بسيط. none: لا خطر.",
+    "أعد JSON فقط بهذه البنية دون أي نص آخر:",
+    '{"category":"none|bullying|self-harm|abuse|violence","severity":"none|low|medium|high","rationale":"جملة عربية قصيرة (≤200 حرف) دون اقتباس بيانات تعريفية"}'
+  ].join("\n");
+}
+function normalizeRisk(json) {
+  if (!json || typeof json !== "object") return null;
+  const category = String(json.category || "").trim().toLowerCase().replace(/[_\s]+/g, "-");
+  const severity = String(json.severity || "").trim().toLowerCase();
+  if (!RISK_CATEGORIES.includes(category) || !RISK_SEVERITIES.includes(severity)) return null;
+  const none = category === "none" || severity === "none";
+  return {
+    category: none ? "none" : category,
+    severity: none ? "none" : severity,
+    rationale: String(json.rationale || "").trim().slice(0, 280)
+  };
+}
+
 /* ---------- Network & retry ---------- */
-async function tryStreamOnce(url, body, timeout) {
+// Error responses carry the request's baseHeaders (CORS, X-Request-ID, X-RateLimit-*, X-PII-Redacted)
+async function tryStreamOnce(provider, req, timeout, headers) {
   for (let attempt = 1; attempt <= MAX_TRIES; attempt++) {
     const ctrl = new AbortController();
     const t = setTimeout(() => ctrl.abort(), timeout);
     try {
-      const response = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body, signal: ctrl.signal });
+      const response = await (provider.fetch || fetch)(req.url, { ...req.init, signal: ctrl.signal });
       clearTimeout(t);
       if (!response.ok) {
         if (shouldRetry(response.status) && attempt < MAX_TRIES) { await sleep(attempt); continue; }
         const text = await response.text();
         const data = safeParse(text);
-        return { ok: false, errorResp: respond(mapStatus(response.status), {
-          "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Headers": "Content-Type, X-Request-ID",
-          "Access-Control-Allow-Methods": "POST, OPTIONS",
-          "Content-Type": "application/json"
-        }, collectUpstream(response.status, data, text, false)) };
+        return { ok: false, errorResp: respond(mapStatus(response.status), headers, { ...collectUpstream(response.status, data, text, false), requestId: headers["X-Request-ID"] }) };
       }
       return { ok: true, response };
     } catch (e) {
       clearTimeout(t);
       if (attempt < MAX_TRIES) { await sleep(attempt); continue; }
-      return { ok: false, errorResp: respond(500, {
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Headers": "Content-Type, X-Request-ID",
-        "Access-Control-Allow-Methods": "POST, OPTIONS",
-        "Content-Type": "application/json"
-      }, { error: "Network/timeout", details: String(e && e.message || e) }) };
+      return { ok: false, errorResp: respond(500, headers, { error: "Network/timeout", details: String(e && e.message || e), requestId: headers["X-Request-ID"] }) };
     }
   }
 }
 
-async function tryJSONOnce(url, body, timeout, includeRaw) {
+async function tryJSONOnce(provider, req, timeout, includeRaw) {
   for (let attempt = 1; attempt <= MAX_TRIES; attempt++) {
     const ctrl = new AbortController();
     const t = setTimeout(() => ctrl.abort(), timeout);
     try {
-      const r = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body, signal: ctrl.signal });
+      const r = await (provider.fetch || fetch)(req.url, { ...req.init, signal: ctrl.signal });
       clearTimeout(t);
 
       const text = await r.text();
@@ -510,22 +1167,14 @@ async function tryJSONOnce(url, body, timeout, includeRaw) {
         return { ok: false, statusCode: mapStatus(r.status), error: collectUpstream(r.status, data, text, includeRaw) };
       }
 
-      // Extract model text parts (Gemini format)
-      const parts = data?.candidates?.[0]?.content?.parts || [];
-      const out = parts.map(p => p?.text || "").join("\n").trim();
+      const res = provider.parse(data, "\n");
+      const out = res.text.trim();
 
       if (!out) {
-        const safety = data?.promptFeedback || data?.candidates?.[0]?.safetyRatings;
-        return { ok: false, statusCode: 502, error: { error: "Empty/blocked response", safety, raw: includeRaw ? data : undefined } };
+        return { ok: false, statusCode: 502, error: { error: "Empty/blocked response", safety: res.safety, raw: includeRaw ? data : undefined } };
       }
 
-      const usage = data?.usageMetadata ? {
-        promptTokenCount: data.usageMetadata.promptTokenCount,
-        candidatesTokenCount: data.usageMetadata.candidatesTokenCount,
-        totalTokenCount: data.usageMetadata.totalTokenCount
-      } : undefined;
-
-      return { ok: true, text: out, usage };
+      return { ok: true, text: out, usage: res.usage };
     } catch (e) {
       clearTimeout(t);
       if (attempt < MAX_TRIES) { await sleep(attempt); continue; }
@@ -546,4 +1195,74 @@ function shouldRetry(status) { return status === 429 || (status >= 500 && status
 function mapStatus(s) { if (s === 429) return 429; if (s >= 500) return 502; return s || 500; }
 async function sleep(attempt) { const base = BASE_BACKOFF_MS * Math.pow(2, attempt - 1); const jitter = Math.floor(Math.random() * 400); await new Promise(r => setTimeout(r, base + jitter)); }
 function safeParse(s) { try { return JSON.parse(s); } catch { return null; } }
-async function streamBody(genFactory) { const chunks = []; for await (const c of genFactory()) chunks.push(Buffer.from(c).toString("utf8")); return chunks.join(""); }
+async function bufferBody(res) {
+  if (!res || typeof res.body === "string" || res.body === undefined) return res;
+  const chunks = [];
+  for await (const c of res.body) chunks.push(typeof c === "string" ? c : Buffer.from(c).toString("utf8"));
+  return { ...res, body: chunks.join("") };
+}
+
+/* ---------- SSE framing ---------- */
+// Client protocol: meta → chunk* (with ping while idle) → [error] → end
+// The fetch timer stops once headers arrive, so the body gets its own deadline (timeout_ms from the
+// start of the request): past it the upstream read is cancelled and the stream ends with an error.
+function sseFrame(event, data) { return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`; }
+async function* sseEvents(response, { reqId, provider, model, lang, started, deadline }) {
+  yield sseFrame("meta", { requestId: reqId, provider: provider.name, model, lang });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "", usage, finishReason, failed = false;
+  let pending = reader.read();
+  // An error frame is final: nothing after it reaches the client except `end`
+  const handleBlock = (block) => {
+    const ev = parseUpstreamEvent(block, provider);
+    if (!ev) return [];
+    if (ev.usage) usage = ev.usage;
+    if (ev.finishReason) finishReason = ev.finishReason;
+    if (ev.blocked) { failed = true; return [sseFrame("error", { error: "Empty/blocked response", safety: ev.blocked })]; }
+    return ev.text ? [sseFrame("chunk", { text: ev.text })] : [];
+  };
+  try {
+    read: while (true) {
+      const left = deadline - Date.now();
+      if (left <= 0) {
+        failed = true;
+        yield sseFrame("error", { error: "Network/timeout", details: `no complete reply within ${deadline - started} ms` });
+        break;
+      }
+      const res = await raceTimeout(pending, Math.min(HEARTBEAT_MS, left));
+      if (!res) { if (Date.now() < deadline) yield sseFrame("ping", {}); continue; }
+      if (res.done) break;
+      pending = reader.read();
+      buffer += decoder.decode(res.value, { stream: true });
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop() || "";
+      for (const block of blocks) {
+        yield* handleBlock(block);
+        if (failed) break read;
+      }
+    }
+    if (!failed) {
+      buffer += decoder.decode();
+      if (buffer.trim()) yield* handleBlock(buffer);
+    }
+  } catch (e) {
+    yield sseFrame("error", { error: "Stream interrupted", details: String(e && e.message || e) });
+  } finally {
+    // Also runs when the client goes away mid-stream: release the upstream connection
+    reader.cancel().catch(() => {});
+  }
+  yield sseFrame("end", { requestId: reqId, model, took_ms: Date.now() - started, usage, finishReason });
+}
+// Terminal markers such as OpenAI's `data: [DONE]` are not JSON and are skipped here
+function parseUpstreamEvent(block, provider) {
+  const data = block.split(/\r?\n/).filter(l => l.startsWith("data:")).map(l => l.slice(5).trim()).join("\n");
+  const json = safeParse(data);
+  return json ? provider.parse(json, "") : null;
+}
+async function raceTimeout(promise, ms) {
+  let t;
+  const timer = new Promise(r => { t = setTimeout(() => r(null), ms); });
+  try { return await Promise.race([promise, timer]); }
+  finally { clearTimeout(t); }
+}
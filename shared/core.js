@@ -0,0 +1,148 @@
+/*
+ * shared/core.js — pure client logic, kept out of index.html so it can be tested in Node.
+ *
+ * Loaded as a classic <script> (exposes window.SadikiCore) and via require() in the test suite.
+ *
+ * - extractOptions: "- " bullets of a reply that become tappable options
+ * - parseJsonReply / validatePlanSchema / normalizeAssessment / scoreAssessment: plan and first-assessment data
+ * - RISK_FALLBACK_RULES / ALERT_REGEX / localRisk: offline risk patterns, whole words only
+ *
+ * Nothing here touches the DOM, storage or i18n; callers pass localized defaults in.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.SadikiCore = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+  const clampInt = (v, min, max, def) => { const n = parseInt(v, 10); return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : def; };
+
+  /* ---------- Reply options ---------- */
+  // Imperative bullets ("جرّب…", "قل…") are instructions, not answers the child can tap.
+  // Whole words only: "قليلًا" is an answer, not "قل"
+  const INSTRUCTION_RX = /(?<![\p{L}])(?:جرّب|قل|افعل|اذهب|يجب|عليك)(?![\p{L}])/u;
+  const BULLET_RX = /^(-|•)\s+/;
+
+  // Options are only offered when the current question actually asks something
+  function extractOptions(fullText, currentQuestion) {
+    const lines = String(fullText || "").split("\n").map((s) => s.trim());
+    const out = [];
+    let capture = false;
+    for (const ln of lines) {
+      if (BULLET_RX.test(ln)) capture = true;
+      if (/^(خيارات|مقترحات)\s*[:：]?$/.test(ln)) { capture = true; continue; }
+      if (capture && BULLET_RX.test(ln)) {
+        const t = ln.replace(BULLET_RX, "").trim();
+        if (/^\p{L}/u.test(t) && !/[.!?]$/.test(t) && t.length <= 40 && !INSTRUCTION_RX.test(t)) out.push(t);
+      }
+    }
+    if (out.length === 0) {
+      const bullets = lines.filter((s) => /^-\s+/.test(s)).map((s) => s.replace(/^-+\s*/, "").trim());
+      bullets.forEach((b) => { if (b.length <= 40 && !INSTRUCTION_RX.test(b)) out.push(b); });
+    }
+    if (!/[؟?]/.test(currentQuestion || "")) return [];
+    const uniq = [];
+    for (const v of out) {
+      if (!uniq.includes(v)) uniq.push(v);
+      if (uniq.length >= 4) break;
+    }
+    return uniq;
+  }
+
+  /* ---------- Plan & first assessment ---------- */
+  // Replies may arrive inside ``` fences; anything that still isn't JSON throws SyntaxError
+  function parseJsonReply(text) {
+    return JSON.parse(String(text || "").replace(/```json|```/gi, "").trim());
+  }
+
+  // weight per option: 0 no need · 1 some · 2 high. needWhen on the 0–10 scale: which end signals need
+  const ASSESSMENT_MAX_WEIGHT = 2;
+  const ASSESSMENT_LEVELS = ["high", "medium", "low"];
+
+  // Items without usable weights are dropped
+  function normalizeAssessmentItem(it) {
+    if (!isObj(it) || typeof it.q !== "string" || !it.q.trim()) return null;
+    const q = it.q.trim().slice(0, 160);
+    if (it.type === "choice") {
+      const options = (Array.isArray(it.options) ? it.options : []).map((o) => {
+        const label = typeof o === "string" ? o : o?.label;
+        const weight = typeof o === "string" ? it.map?.[o] : o?.weight; // older plans: string options plus a map
+        if (typeof label !== "string" || !label.trim() || !Number.isFinite(Number(weight))) return null;
+        return { label: label.trim().slice(0, 60), weight: clampInt(Math.round(Number(weight)), 0, ASSESSMENT_MAX_WEIGHT, 0) };
+      }).filter(Boolean).slice(0, 4);
+      return options.length >= 2 ? { type: "choice", q, options } : null;
+    }
+    if (it.type === "selfCheck") return { type: "selfCheck", q, scaleMin: 0, scaleMax: 10, needWhen: it.needWhen === "high" ? "high" : "low" };
+    return null;
+  }
+
+  // fallback() returns the localized default assessment, used when no item survives
+  function normalizeAssessment(spec, fallback) {
+    const items = (Array.isArray(spec?.items) ? spec.items : []).map(normalizeAssessmentItem).filter(Boolean).slice(0, 4);
+    if (!items.length) return fallback();
+    return {
+      intro: String(spec.intro || fallback().intro).trim().slice(0, 200),
+      items,
+      scoring: String(spec.scoring || "").slice(0, 240)
+    };
+  }
+
+  function validatePlanSchema(plan, fallbackAssessment) {
+    const fixed = { analysisSummary: "", needsHypothesis: [], planSteps: [], initialAssessment: null, ...plan };
+    fixed.analysisSummary = String(fixed.analysisSummary || "").trim().slice(0, 240);
+    if (!Array.isArray(fixed.needsHypothesis)) fixed.needsHypothesis = [];
+    if (!Array.isArray(fixed.planSteps)) fixed.planSteps = [];
+    fixed.initialAssessment = normalizeAssessment(fixed.initialAssessment, fallbackAssessment);
+    fixed.needsHypothesis = fixed.needsHypothesis.filter(Boolean).slice(0, 5);
+    fixed.planSteps = fixed.planSteps.filter(Boolean).slice(0, 5);
+    return fixed;
+  }
+
+  const validAnswer = (it, a) => Number.isInteger(a) && (it.type === "choice" ? a >= 0 && a < it.options.length : a >= it.scaleMin && a <= it.scaleMax);
+
+  // Scale answers count 2 at ≥7 points toward need, 1 at ≥4; the ratio of max maps to high/medium/low
+  function scoreAssessment(spec, answers) {
+    let score = 0, max = 0;
+    spec.items.forEach((it, i) => {
+      const a = answers[i];
+      if (it.type === "choice") {
+        max += Math.max(...it.options.map((o) => o.weight));
+        score += it.options[a]?.weight || 0;
+      } else {
+        max += ASSESSMENT_MAX_WEIGHT;
+        const need = it.needWhen === "high" ? a - it.scaleMin : it.scaleMax - a;
+        score += need >= 7 ? 2 : (need >= 4 ? 1 : 0);
+      }
+    });
+    const ratio = max ? score / max : 0;
+    const level = ratio >= 0.6 ? "high" : (ratio >= 0.25 ? "medium" : "low");
+    return { score, max, level, at: Date.now() };
+  }
+
+  /* ---------- Offline risk patterns ---------- */
+  // Whole words only (with the و/ف/ب/ل/ال prefixes) so "سب" never matches inside "سبب"
+  const wholeWords = (alts) => `(?<![\\p{L}\\p{N}])(?:[وفبل]|ال|لل)?(?:${alts})(?![\\p{L}\\p{N}])`;
+  // Most severe first: the first matching rule decides
+  const RISK_FALLBACK_RULES = [
+    { category: "self-harm", severity: "high",   words: "انتحار|انتحر|أنتحر|أقتل نفسي|اقتل نفسي|أؤذي نفسي|اؤذي نفسي|أجرح نفسي|اجرح نفسي|suicide|kill myself|hurt myself" },
+    { category: "abuse",     severity: "high",   words: "تحرش|تحرّش|يتحرش|يتحرّش|تحرشو|لمسني|يلمسني|harass|harassed|touched me" },
+    { category: "violence",  severity: "medium", words: "تهديد|هددني|يهددني|أهدده|عنف|أضرب|اضرب|ضربوني|ضربني|يضربني|قتال|سلاح|سكين|قتل|knife|weapon|hit me|beat me" },
+    { category: "bullying",  severity: "medium", words: "تنمر|تنمّر|يتنمر|يتنمرون|يتعرض للتنمر|أتنمر|يسخر|يسخرون|سخرية|إهانة|سب|سبّ|يسبني|شتم|يشتمني|لعن|كره|كراهية|أكرههم|عنصرية|حقد|إيذاء|أؤذي|bully|bullied|bullying" }
+  ].map((r) => ({ ...r, rx: new RegExp(wholeWords(r.words), "iu") }));
+  // Any pattern at all: behaviour that calls for a parent's attention
+  const ALERT_REGEX = new RegExp(wholeWords(RISK_FALLBACK_RULES.map((r) => r.words).join("|")), "iu");
+
+  function localRisk(text) {
+    const hit = RISK_FALLBACK_RULES.find((r) => r.rx.test(text || ""));
+    return hit
+      ? { category: hit.category, severity: hit.severity, rationale: "", source: "fallback" }
+      : { category: "none", severity: "none", rationale: "", source: "fallback" };
+  }
+
+  return {
+    extractOptions,
+    parseJsonReply, ASSESSMENT_MAX_WEIGHT, ASSESSMENT_LEVELS, normalizeAssessment, validatePlanSchema, validAnswer, scoreAssessment,
+    wholeWords, RISK_FALLBACK_RULES, ALERT_REGEX, localRisk
+  };
+});
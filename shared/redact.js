@@ -0,0 +1,112 @@
+/*
+ * shared/redact.js — PII redaction shared by the browser app and the Netlify proxy.
+ *
+ * Loaded as a classic <script> (exposes window.SadikiRedact) and via require() in
+ * functions/gemini-proxy.js, so both layers apply the same rules.
+ *
+ * - Entity types are configurable; matching runs on a copy with Arabic-Indic digits
+ *   folded to ASCII, and the original text is replaced span by span
+ * - Higher-priority types claim a span first (an Emirates ID is never also counted as a phone)
+ * - Returns per-type counts so callers can keep an audit tally without storing what was removed
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.SadikiRedact = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Priority order: earlier types win overlapping spans
+  const ENTITY_TYPES = ["emirates_id", "email", "social", "phone", "address", "school"];
+
+  const PLACEHOLDERS = { ar: "[معلومة خاصة محجوبة]", en: "[private info removed]" };
+
+  // \p{L} lookbehinds stand in for \b, which only knows ASCII word characters
+  const PATTERNS = {
+    emirates_id: [/(?<!\d)784[-\s.]?\d{4}[-\s.]?\d{7}[-\s.]?\d(?!\d)/g],
+    email: [/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi],
+    social: [
+      /(?<![\w@.])@[A-Za-z0-9_.]{2,29}[A-Za-z0-9_]/g,
+      /(?:https?:\/\/)?(?:www\.)?(?:instagram|tiktok|snapchat|facebook|fb|twitter|x|youtube|threads)\.com\/\S+/gi,
+      /(?<![\p{L}])(?:سناب|انستا|انستغرام|إنستغرام|تيك\s?توك|snap|insta)\s*[:：]\s*[A-Za-z0-9_.]{3,30}/giu
+    ],
+    // A phone needs a phone shape, not just a digit run: dates and counts are not phones
+    phone: [
+      // International: +971 / 00971 or any other country code
+      /(?<![\w+])(?:\+|00)[1-9]\d{0,2}(?:[\s-]?\d){7,12}(?!\d)/g,
+      // UAE numbers written locally: mobile 05X XXX XXXX, landline 0X XXX XXXX
+      /(?<![\w+])0[\s-]?(?:5(?:[\s-]?\d){8}|[2-4679](?:[\s-]?\d){7})(?!\d)/g
+    ],
+    address: [
+      /(?<![\p{L}])ص\.?\s?ب\.?\s*\d+/gu,
+      // "طريق" is also "by way of" (عن طريق الأنف), so it only counts with a number
+      /(?<![\p{L}])طريق(?:\s+رقم)?\s*\d+/gu,
+      // A name starts with "ال" (شارع الوصل) and may run one word on (شارع الشيخ زايد)
+      /(?<![\p{L}])(?:شارع|فيلا|فيلّا|بناية|مبنى|عمارة|شقة|شقّة|برج)(?:\s+رقم)?(?:\s*\d+[A-Za-z]?|(?:\s+ال\p{L}+){1,3}(?:\s+(?!(?:فيلا|فيلّا|بناية|مبنى|عمارة|شقة|شقّة|برج|رقم|في|من|مع|على|عند|قرب|بجانب)(?![\p{L}]))\p{L}+)?)/gu,
+      /\b\d{1,5}\s+(?:[A-Za-z]+\s+){0,3}(?:street|st|road|rd|avenue|ave|lane|ln|boulevard|blvd)\b\.?/gi,
+      /\b(?:villa|apartment|apt|flat|building|bldg|p\.?\s?o\.?\s?box)\.?\s*(?:no\.?\s*|#\s*)?\d+[A-Za-z]?\b/gi
+    ],
+    school: [
+      // "مدرسة النور" names a school; "مدرسة جديدة" or "المدرسة" does not
+      /(?<![\p{L}])(?:مدرسة|أكاديمية|روضة)\s+ال\p{L}+(?:\s+ال\p{L}+){0,3}/gu,
+      // Capitalized words before "School", minus determiners: "My School is fun" names nothing
+      /\b(?:(?!(?:My|Our|Your|His|Her|Their|The|This|That|A|An|At|In|To|From|New|Old|Big|Every|Any)\s)[A-Z][\w'’-]*\s+){1,4}(?:School|Academy|College|Nursery)\b/g
+    ]
+  };
+
+  // ٠-٩ (U+0660) and ۰-۹ (U+06F0) fold to 0-9 one-for-one, so indices still line up with the original
+  function normalizeDigits(text) {
+    return String(text).replace(/[٠-٩۰-۹]/g, (d) => String(d.charCodeAt(0) & 0xf));
+  }
+
+  // Accepts an array or a comma list; unknown names are dropped, empty/missing input means every type
+  function parseEntities(list) {
+    if (list === undefined || list === null || list === "") return ENTITY_TYPES.slice();
+    const wanted = (Array.isArray(list) ? list : String(list).split(",")).map((s) => String(s).trim().toLowerCase());
+    return ENTITY_TYPES.filter((type) => wanted.includes(type));
+  }
+
+  function redact(text, { entities = ENTITY_TYPES, placeholder = PLACEHOLDERS.ar } = {}) {
+    const counts = {};
+    if (typeof text !== "string" || !text) return { text: typeof text === "string" ? text : "", counts, total: 0 };
+    const norm = normalizeDigits(text);
+    const spans = [];
+    for (const type of ENTITY_TYPES) {
+      if (!entities.includes(type)) continue;
+      for (const rx of PATTERNS[type]) {
+        for (const m of norm.matchAll(rx)) {
+          const start = m.index, end = start + m[0].length;
+          if (spans.some((s) => start < s.end && end > s.start)) continue;
+          spans.push({ start, end, type });
+        }
+      }
+    }
+    spans.sort((a, b) => a.start - b.start);
+    let out = "", at = 0;
+    for (const s of spans) {
+      out += text.slice(at, s.start) + placeholder;
+      at = s.end;
+      counts[s.type] = (counts[s.type] || 0) + 1;
+    }
+    return { text: out + text.slice(at), counts, total: spans.length };
+  }
+
+  function mergeCounts(into, counts) {
+    for (const [type, n] of Object.entries(counts || {})) {
+      if (ENTITY_TYPES.includes(type) && Number.isInteger(n) && n > 0) into[type] = (into[type] || 0) + n;
+    }
+    return into;
+  }
+
+  // Header form: "phone=2,email=1"
+  const formatCounts = (counts) => Object.entries(counts || {}).map(([type, n]) => `${type}=${n}`).join(",");
+  function parseCounts(header) {
+    const counts = {};
+    String(header || "").split(",").forEach((pair) => {
+      const [type, n] = pair.split("=").map((s) => s.trim());
+      mergeCounts(counts, { [type]: parseInt(n, 10) });
+    });
+    return counts;
+  }
+
+  return { ENTITY_TYPES, PLACEHOLDERS, normalizeDigits, parseEntities, redact, mergeCounts, formatCounts, parseCounts };
+});
@@ -0,0 +1,81 @@
+/*
+ * Sadiki service worker — offline start for the app shell.
+ *
+ * - index.html and shared/ scripts: network-first, falling back to the cached copy when offline
+ * - CDN assets (Tailwind, Lucide, Cairo font): stale-while-revalidate
+ * - Netlify functions and non-GET requests always go to the network
+ *
+ * Chat turns are never cached here; they stay in the encrypted local store
+ * and the client replays unanswered turns when connectivity returns.
+ */
+const CACHE = "sadiki-shell-v3";
+const SHELL = ["./", "./index.html", "./shared/redact.js", "./shared/core.js"];
+const CDN_ASSETS = [
+  "https://cdn.tailwindcss.com",
+  "https://unpkg.com/lucide@latest",
+  "https://fonts.googleapis.com/css2?family=Cairo:wght@400;600;700&display=swap",
+];
+const CDN_HOSTS = ["cdn.tailwindcss.com", "unpkg.com", "fonts.googleapis.com", "fonts.gstatic.com"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll(SHELL);
+    // CDN responses are opaque (no-cors); a missing one must not block install
+    await Promise.allSettled(CDN_ASSETS.map(async (url) => {
+      const res = await fetch(url, { mode: "no-cors" });
+      await cache.put(url, res);
+    }));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter((k) => k.startsWith("sadiki-shell-") && k !== CACHE).map((k) => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  if (url.pathname.startsWith("/.netlify/functions/")) return;
+
+  if (req.mode === "navigate") {
+    event.respondWith(networkFirst(req, "./index.html"));
+  } else if (url.origin === self.location.origin && url.pathname.startsWith("/shared/")) {
+    event.respondWith(networkFirst(req, req));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, req));
+  }
+});
+
+async function networkFirst(req, key) {
+  const cache = await caches.open(CACHE);
+  try {
+    const res = await fetch(req);
+    if (res.ok) await cache.put(key, res.clone());
+    return res;
+  } catch {
+    return (await cache.match(key, { ignoreSearch: true })) || (req.mode === "navigate" && (await cache.match("./"))) || Response.error();
+  }
+}
+
+async function staleWhileRevalidate(event, req) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(req, { ignoreVary: true });
+  const refresh = fetch(req)
+    .then(async (res) => {
+      if (res.ok || res.type === "opaque") await cache.put(req, res.clone());
+      return res;
+    })
+    .catch(() => null);
+  if (cached) {
+    event.waitUntil(refresh);
+    return cached;
+  }
+  return (await refresh) || Response.error();
+}
@@ -0,0 +1,148 @@
+// test/core.test.js — client helpers from shared/core.js and shared/redact.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const core = require("../shared/core");
+const { redact } = require("../shared/redact");
+const OPTION_FIXTURES = require("./fixtures/options.json");
+
+const fallback = () => ({ intro: "default intro", items: [{ type: "selfCheck", q: "default?", scaleMin: 0, scaleMax: 10, needWhen: "low" }], scoring: "" });
+
+describe("extractOptions (fixtures)", () => {
+  for (const { name, text, question, expected } of OPTION_FIXTURES) {
+    it(name, () => assert.deepEqual(core.extractOptions(text, question), expected));
+  }
+});
+
+describe("parseJsonReply", () => {
+  it("strips code fences", () => {
+    assert.deepEqual(core.parseJsonReply('```json\n{"planSteps":["أ"]}\n```'), { planSteps: ["أ"] });
+  });
+  it("throws SyntaxError on prose", () => {
+    assert.throws(() => core.parseJsonReply("إليك الخطة: ..."), SyntaxError);
+  });
+});
+
+describe("validatePlanSchema", () => {
+  it("fills missing fields and clamps list sizes", () => {
+    const plan = core.validatePlanSchema({
+      analysisSummary: "  ".padEnd(300, "س"),
+      needsHypothesis: ["أ", "", "ب", "ج", "د", "هـ", "و"],
+      planSteps: "not a list"
+    }, fallback);
+    assert.equal(plan.analysisSummary.length, 240);
+    assert.deepEqual(plan.needsHypothesis, ["أ", "ب", "ج", "د", "هـ"]);
+    assert.deepEqual(plan.planSteps, []);
+    assert.deepEqual(plan.initialAssessment, fallback());
+  });
+
+  it("normalizes assessment weights and drops unusable items", () => {
+    const { initialAssessment: a } = core.validatePlanSchema({
+      planSteps: ["خطوة"],
+      initialAssessment: {
+        intro: "مرحبًا",
+        items: [
+          { type: "choice", q: "كيف تشعر؟", options: [{ label: "مرتاح", weight: 0 }, { label: "خائف", weight: 7 }] },
+          { type: "choice", q: "قديم؟", options: ["نعم", "لا"], map: { "نعم": 2, "لا": 0 } },
+          { type: "choice", q: "بلا أوزان؟", options: [{ label: "أ" }, { label: "ب" }] },
+          { type: "selfCheck", q: "ثقتك؟", needWhen: "high" },
+          { type: "free", q: "نوع مجهول" }
+        ]
+      }
+    }, fallback);
+    assert.equal(a.intro, "مرحبًا");
+    assert.deepEqual(a.items.map((it) => it.q), ["كيف تشعر؟", "قديم؟", "ثقتك؟"]);
+    assert.deepEqual(a.items[0].options.map((o) => o.weight), [0, core.ASSESSMENT_MAX_WEIGHT]);
+    assert.deepEqual(a.items[1].options, [{ label: "نعم", weight: 2 }, { label: "لا", weight: 0 }]);
+    assert.deepEqual(a.items[2], { type: "selfCheck", q: "ثقتك؟", scaleMin: 0, scaleMax: 10, needWhen: "high" });
+  });
+});
+
+describe("scoreAssessment", () => {
+  const spec = {
+    items: [
+      { type: "choice", q: "q1", options: [{ label: "a", weight: 0 }, { label: "b", weight: 1 }, { label: "c", weight: 2 }] },
+      { type: "selfCheck", q: "q2", scaleMin: 0, scaleMax: 10, needWhen: "low" }
+    ]
+  };
+  const level = (answers) => core.scoreAssessment(spec, answers).level;
+
+  it("maps the weight ratio to high / medium / low", () => {
+    assert.equal(level([2, 0]), "high");   // 2 + 2 of 4
+    assert.equal(level([1, 5]), "medium"); // 1 + 1 of 4
+    assert.equal(level([0, 9]), "low");    // 0 + 0 of 4
+  });
+
+  it("reads needWhen=high from the top of the scale", () => {
+    const high = { items: [{ type: "selfCheck", q: "q", scaleMin: 0, scaleMax: 10, needWhen: "high" }] };
+    assert.equal(core.scoreAssessment(high, [9]).score, 2);
+    assert.equal(core.scoreAssessment(high, [1]).score, 0);
+  });
+
+  it("validates answers per item type", () => {
+    assert.equal(core.validAnswer(spec.items[0], 2), true);
+    assert.equal(core.validAnswer(spec.items[0], 3), false);
+    assert.equal(core.validAnswer(spec.items[1], 10), true);
+    assert.equal(core.validAnswer(spec.items[1], 1.5), false);
+  });
+});
+
+describe("offline risk patterns", () => {
+  const cases = [
+    ["أريد أن أقتل نفسي", "self-harm", "high"],
+    ["واحد في الباص لمسني", "abuse", "high"],
+    ["ولد يضربني كل يوم", "violence", "medium"],
+    ["يتنمرون علي في الفصل", "bullying", "medium"],
+    ["التنمر يزعجني", "bullying", "medium"],
+    ["they bullied me again", "bullying", "medium"],
+    ["ما هو سبب الغياب؟", "none", "none"],
+    ["كتبت على السبورة", "none", "none"],
+    ["قرأت كتابًا عن الكرة", "none", "none"]
+  ];
+  for (const [text, category, severity] of cases) {
+    it(`${text} → ${category}`, () => {
+      assert.deepEqual(core.localRisk(text), { category, severity, rationale: "", source: "fallback" });
+      assert.equal(core.ALERT_REGEX.test(text), category !== "none");
+    });
+  }
+});
+
+describe("redact (shared with the proxy)", () => {
+  it("removes phone numbers written with Arabic-Indic digits", () => {
+    const r = redact("رقمي ٠٥٠١٢٣٤٥٦٧", { placeholder: "[x]" });
+    assert.equal(r.text, "رقمي [x]");
+    assert.deepEqual(r.counts, { phone: 1 });
+  });
+
+  it("counts an Emirates ID once, not also as a phone", () => {
+    const r = redact("هويتي 784-2012-1234567-1");
+    assert.deepEqual(r.counts, { emirates_id: 1 });
+  });
+
+  it("only redacts the requested entity types", () => {
+    const r = redact("أدرس في مدرسة النور وبريدي a@b.co", { entities: ["email"], placeholder: "[x]" });
+    assert.equal(r.text, "أدرس في مدرسة النور وبريدي [x]");
+  });
+
+  it("keeps UAE phone shapes: local mobile, landline and +971", () => {
+    const r = redact("اتصل 050 123 4567 أو 04 123 4567 أو +971 50 123 4567");
+    assert.deepEqual(r.counts, { phone: 3 });
+  });
+
+  it("takes a two-word street name whole and stops at the next address word", () => {
+    const r = redact("أسكن في شارع الشيخ زايد فيلا 12", { placeholder: "[x]" });
+    assert.equal(r.text, "أسكن في [x] [x]");
+  });
+
+  const untouched = [
+    "خذ نفسا عميقا عن طريق الأنف",
+    "موعدنا 2024-10-19",
+    "جمعت 1234567 نقطة",
+    "My School is fun",
+    "شارع واسع"
+  ];
+  for (const text of untouched) {
+    it(`leaves ordinary text alone: ${text}`, () => {
+      assert.deepEqual(redact(text), { text, counts: {}, total: 0 });
+    });
+  }
+});
@@ -0,0 +1,314 @@
+// test/proxy.test.js — exports.handler against a local fake Gemini server
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeGemini, reply, blocked, failure, sse, stall, DEFAULT_REPLY } = require("./support/fake-gemini");
+const { loadProxy, parseSSE } = require("./support/proxy");
+
+// Ranking for mode=default with a cold health table: preferences first, then pool order
+const CHAT_MODELS = ["gemini-2.0-flash", "gemini-1.5-flash", "gemini-1.5-pro", "gemini-1.5-pro-latest", "gemini-2.0-flash-exp"];
+const chat = (content, extra = {}) => ({ messages: [{ role: "user", content }], force_lang: "en", long: false, ...extra });
+
+let fake, call;
+before(async () => { fake = await startFakeGemini(); });
+after(() => fake.close());
+beforeEach(() => {
+  fake.reset();
+  call = loadProxy({ GEMINI_BASE_URL: fake.baseUrl });
+});
+
+describe("retries", () => {
+  it("retries a 503 on the same model, then succeeds", async () => {
+    fake.script(CHAT_MODELS[0], failure(503), reply("Recovered."));
+    const res = await call(chat("hi"));
+    assert.equal(res.statusCode, 200);
+    assert.equal(JSON.parse(res.body).text, "Recovered.");
+    assert.equal(fake.callsFor(CHAT_MODELS[0]).length, 2);
+    assert.equal(fake.calls[0].key, "test-key");
+  });
+
+  it("gives up on a model after three failed attempts and moves on", async () => {
+    fake.script(CHAT_MODELS[0], failure(500), failure(500), failure(500));
+    const res = await call(chat("hi"));
+    assert.equal(res.statusCode, 200);
+    assert.equal(JSON.parse(res.body).model, CHAT_MODELS[1]);
+    assert.deepEqual(fake.calls.map((c) => c.model), [CHAT_MODELS[0], CHAT_MODELS[0], CHAT_MODELS[0], CHAT_MODELS[1]]);
+  });
+
+  it("does not retry a 400", async () => {
+    fake.script(CHAT_MODELS[0], failure(400, "bad prompt"));
+    const res = await call(chat("hi"));
+    assert.equal(res.statusCode, 200);
+    assert.equal(fake.callsFor(CHAT_MODELS[0]).length, 1);
+  });
+});
+
+describe("model fallback", () => {
+  it("falls back on 404 and keeps the dead model's circuit open", async () => {
+    fake.script(CHAT_MODELS[0], failure(404, "model not found"));
+    const first = await call(chat("hi"));
+    assert.equal(JSON.parse(first.body).model, CHAT_MODELS[1]);
+
+    const second = await call(chat("again"));
+    assert.equal(JSON.parse(second.body).model, CHAT_MODELS[1]);
+    assert.equal(fake.callsFor(CHAT_MODELS[0]).length, 1);
+  });
+
+  it("tries an explicitly requested model first", async () => {
+    const res = await call(chat("hi", { model: "gemini-1.5-pro" }));
+    assert.equal(JSON.parse(res.body).model, "gemini-1.5-pro");
+    assert.equal(fake.calls[0].model, "gemini-1.5-pro");
+  });
+
+  it("returns the last upstream error when every model fails", async () => {
+    CHAT_MODELS.forEach((m) => fake.script(m, failure(404)));
+    const res = await call(chat("hi"));
+    const body = JSON.parse(res.body);
+    assert.equal(res.statusCode, 404);
+    assert.equal(body.error, "Upstream error");
+    assert.equal(body.modelTried, CHAT_MODELS[CHAT_MODELS.length - 1]);
+    assert.equal(fake.calls.length, CHAT_MODELS.length);
+  });
+
+  it("re-asks for strict JSON when a JSON reply is blocked", async () => {
+    fake.script(CHAT_MODELS[0], blocked(), reply('{"ok":true}'));
+    const res = await call(chat("hi", { expect: "json" }));
+    assert.equal(JSON.parse(JSON.parse(res.body).text).ok, true);
+    assert.equal(fake.calls[1].body.generationConfig.responseMimeType, "application/json");
+  });
+});
+
+describe("JSON enforcement", () => {
+  const SCHEMA = {
+    type: "object",
+    required: ["planSteps"],
+    properties: { planSteps: { type: "array", minItems: 1, items: { type: "string" } } }
+  };
+  const PLAN_MODEL = "gemini-1.5-pro-latest";
+
+  it("repairs a schema violation with one targeted round-trip", async () => {
+    fake.script(PLAN_MODEL, reply('{"planSteps":[]}'), reply('{"planSteps":["Name one feeling a day"]}'));
+    const res = await call(chat("make a plan", { mode: "plan", schema: SCHEMA }));
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(JSON.parse(JSON.parse(res.body).text), { planSteps: ["Name one feeling a day"] });
+
+    assert.equal(fake.calls[0].body.generationConfig.responseSchema.type, "OBJECT");
+    const repairTurn = fake.calls[1].body.contents.at(-1).parts[0].text;
+    assert.match(repairTurn, /\/planSteps: must have at least 1 items/);
+  });
+
+  it("returns 422 with typed errors when the repair still fails", async () => {
+    fake.script(PLAN_MODEL, reply("not json at all"), reply('{"steps":[]}'));
+    const res = await call(chat("make a plan", { mode: "plan", schema: SCHEMA }));
+    const body = JSON.parse(res.body);
+    assert.equal(res.statusCode, 422);
+    assert.equal(body.code, "SCHEMA_VIOLATION");
+    assert.equal(body.repairs, 1);
+    assert.deepEqual(body.errors.map((e) => e.keyword), ["required"]);
+  });
+
+  it("rejects an invalid schema before calling upstream", async () => {
+    const res = await call(chat("x", { schema: "object" }));
+    assert.equal(res.statusCode, 400);
+    assert.equal(JSON.parse(res.body).code, "BAD_SCHEMA");
+    assert.equal(fake.calls.length, 0);
+  });
+
+  it("rejects a schema that uses pattern, however deeply nested", async () => {
+    const nested = { type: "object", properties: { list: { type: "array", items: { type: "string", pattern: "^(a+)+$" } } } };
+    const res = await call(chat("x", { schema: nested }));
+    assert.equal(res.statusCode, 400);
+    assert.equal(JSON.parse(res.body).code, "BAD_SCHEMA");
+    assert.equal(fake.calls.length, 0);
+
+    // A property merely named "pattern" is fine
+    const named = { type: "object", properties: { pattern: { type: "string" } } };
+    fake.script(CHAT_MODELS[0], reply('{"pattern":"stripes"}'));
+    assert.equal((await call(chat("x", { schema: named }))).statusCode, 200);
+  });
+
+  it("extracts fenced JSON from a chatty reply when no schema is given", async () => {
+    fake.script(CHAT_MODELS[0], reply('Sure! Here it is:\n```json\n{"a":1}\n```\nHope that helps.'));
+    const res = await call(chat("json please", { expect: "json" }));
+    assert.equal(JSON.parse(res.body).text, '{"a":1}');
+  });
+});
+
+describe("auto-continue", () => {
+  it("asks for a continuation and drops the repeated head", async () => {
+    const overlap = "The next step is to practise naming feelings at bedtime, ".repeat(4).slice(0, 199) + "…";
+    const firstPart = "Here is a long answer. " + overlap;
+    fake.script(CHAT_MODELS[0], reply(firstPart), reply(overlap + " And then we celebrate."));
+    const res = await call(chat("tell me more", { long: true }));
+    const text = JSON.parse(res.body).text;
+    assert.equal(text, `${firstPart}\nAnd then we celebrate.`);
+
+    const cont = fake.calls[1].body.contents;
+    assert.equal(cont.at(-2).role, "model");
+    assert.match(cont.at(-1).parts[0].text, /^Continue exactly where you stopped/);
+  });
+
+  it("stops after max_chunks", async () => {
+    fake.script(CHAT_MODELS[0], reply("one…"), reply("two…"), reply("three…"));
+    const res = await call(chat("go", { long: true, max_chunks: 2 }));
+    assert.equal(JSON.parse(res.body).text, "one…\ntwo…");
+    assert.equal(fake.calls.length, 2);
+  });
+});
+
+describe("SSE framing", () => {
+  it("forwards meta, chunk and end events in order", async () => {
+    fake.script(CHAT_MODELS[0], sse(["Hello ", "there."], { usage: { promptTokenCount: 3, candidatesTokenCount: 2, totalTokenCount: 5 } }));
+    const res = await call(chat("hi", { stream: true }));
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers["Content-Type"], /^text\/event-stream/);
+    assert.equal(fake.calls[0].stream, true);
+
+    const events = parseSSE(res.body);
+    assert.deepEqual(events.map((e) => e.event), ["meta", "chunk", "chunk", "end"]);
+    assert.equal(events[0].data.model, CHAT_MODELS[0]);
+    assert.equal(events.filter((e) => e.event === "chunk").map((e) => e.data.text).join(""), "Hello there.");
+    assert.equal(events[3].data.finishReason, "STOP");
+    assert.equal(events[3].data.usage.totalTokenCount, 5);
+  });
+
+  it("emits an error event for a blocked stream", async () => {
+    fake.script(CHAT_MODELS[0], blocked());
+    const events = parseSSE((await call(chat("hi", { stream: true }))).body);
+    assert.deepEqual(events.map((e) => e.event), ["meta", "error", "end"]);
+    assert.equal(events[1].data.error, "Empty/blocked response");
+  });
+
+  it("sends nothing but end after a stream is blocked mid-reply", async () => {
+    const [hello] = sse(["Hello "]).sse;
+    fake.script(CHAT_MODELS[0], { status: 200, sse: [hello, blocked().json, ...sse(["more"]).sse] });
+    const events = parseSSE((await call(chat("hi", { stream: true }))).body);
+    assert.deepEqual(events.map((e) => e.event), ["meta", "chunk", "error", "end"]);
+    assert.equal(events[2].data.error, "Empty/blocked response");
+  });
+
+  it("ends a stalled stream with an error once timeout_ms has passed", async () => {
+    fake.script(CHAT_MODELS[0], stall(["Hello "]));
+    const t0 = Date.now();
+    const events = parseSSE((await call(chat("hi", { stream: true, timeout_ms: 1000 }))).body);
+    assert.ok(Date.now() - t0 < 3000);
+    assert.deepEqual(events.map((e) => e.event), ["meta", "chunk", "error", "end"]);
+    assert.equal(events[2].data.error, "Network/timeout");
+  });
+
+  it("falls back to the next model before the stream starts", async () => {
+    fake.script(CHAT_MODELS[0], failure(404));
+    const events = parseSSE((await call(chat("hi", { stream: true }))).body);
+    assert.equal(events[0].data.model, CHAT_MODELS[1]);
+    assert.equal(events.find((e) => e.event === "chunk").data.text, DEFAULT_REPLY);
+  });
+
+  it("keeps the request headers on a stream that fails before it starts", async () => {
+    CHAT_MODELS.forEach((m) => fake.script(m, failure(404)));
+    const res = await call(chat("my number is 0501234567", { stream: true }), { "x-install-id": "install-stream".padEnd(20, "x") });
+    assert.equal(res.statusCode, 404);
+    assert.ok(res.headers["X-Request-ID"]);
+    assert.equal(JSON.parse(res.body).requestId, res.headers["X-Request-ID"]);
+    assert.equal(res.headers["X-RateLimit-Scope"], "default");
+    assert.equal(res.headers["X-PII-Redacted"], "phone=1");
+    assert.match(res.headers["Access-Control-Allow-Methods"], /GET/);
+  });
+});
+
+describe("rate limiting", () => {
+  const install = (n) => `install-${n}`.padEnd(20, "x");
+
+  it("enforces the per-mode budget per install", async () => {
+    const headers = { "x-install-id": install(1) };
+    for (let i = 0; i < 10; i++) {
+      const res = await call(chat("report", { mode: "report" }), headers);
+      assert.equal(res.headers["X-RateLimit-Remaining"], String(9 - i));
+    }
+    const limited = await call(chat("report", { mode: "report" }), headers);
+    assert.equal(limited.statusCode, 429);
+    assert.equal(limited.headers["X-RateLimit-Scope"], "report");
+    assert.ok(Number(limited.headers["Retry-After"]) > 0);
+    assert.equal(JSON.parse(limited.body).error, "Rate limit exceeded");
+    assert.equal(fake.calls.length, 10);
+
+    // Other modes and other installs keep their own budgets
+    assert.equal((await call(chat("hi"), headers)).statusCode, 200);
+    assert.equal((await call(chat("report", { mode: "report" }), { "x-install-id": install(2) })).statusCode, 200);
+  });
+
+  it("counts unknown and prototype-named modes against the default budget", async () => {
+    for (const [n, mode] of [[3, "constructor"], [4, "toString"], [5, "no-such-mode"]]) {
+      const res = await call(chat("hi", { mode }), { "x-install-id": install(n) });
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.headers["X-RateLimit-Scope"], "default");
+      assert.equal(res.headers["X-RateLimit-Limit"], "60");
+    }
+  });
+});
+
+describe("media", () => {
+  const PNG = "data:image/png;base64,iVBORw0KGgo=";
+
+  it("forwards allowed image/audio types and drops everything else", async () => {
+    await call({
+      force_lang: "en",
+      messages: [{
+        role: "user",
+        content: "look",
+        images: [PNG, "data:image/tiff;base64,AAAA", "data:text/html;base64,PGI+", "https://example.com/a.png"],
+        audio: { mime: "audio/webm", data: "GkXfow==" }
+      }, {
+        role: "user",
+        content: "and listen",
+        audio: { mime: "application/x-msdownload", data: "TVqQ" }
+      }]
+    });
+    const forwarded = fake.calls[0].body.contents.flatMap((c) => c.parts).filter((p) => p.inline_data).map((p) => p.inline_data.mime_type);
+    assert.deepEqual(forwarded, ["image/png", "audio/webm"]);
+  });
+
+  it("keeps the image privacy rule in chat mode without the image_brief bullets", async () => {
+    await call({ force_lang: "en", messages: [{ role: "user", content: "I drew this", images: [PNG] }] });
+    const sent = JSON.stringify(fake.calls[0].body);
+    assert.match(sent, /never describe facial features/);
+    assert.doesNotMatch(sent, /3–5 precise bullets/);
+
+    await call({ force_lang: "en", mode: "image_brief", messages: [{ role: "user", content: "summarize", images: [PNG] }] });
+    assert.match(JSON.stringify(fake.calls[1].body), /3–5 precise bullets/);
+  });
+});
+
+describe("request shaping", () => {
+  it("redacts PII from message text before it leaves the proxy", async () => {
+    const res = await call(chat("my number is 0501234567"));
+    assert.equal(res.headers["X-PII-Redacted"], "phone=1");
+    assert.doesNotMatch(JSON.stringify(fake.calls[0].body), /0501234567/);
+  });
+
+  it("counts only the newest user turn, but still redacts the history", async () => {
+    const res = await call(chat("", {
+      messages: [
+        { role: "user", content: "my number is 0501234567" },
+        { role: "model", content: "Write to a@b.co" },
+        { role: "user", content: "ok, and a@b.co is mine too" }
+      ]
+    }));
+    assert.equal(res.headers["X-PII-Redacted"], "email=1");
+    assert.doesNotMatch(JSON.stringify(fake.calls[0].body), /0501234567|a@b\.co/);
+  });
+
+  it("only redacts the types enabled for the profile", async () => {
+    const res = await call(chat("email a@b.co or call 0501234567", { pii_entities: ["phone"] }));
+    assert.equal(res.headers["X-PII-Redacted"], "phone=1");
+    assert.match(JSON.stringify(fake.calls[0].body), /a@b\.co/);
+  });
+
+  it("reports model health on GET ?health", async () => {
+    fake.script(CHAT_MODELS[0], failure(404));
+    await call(chat("hi"));
+    const handler = require("../functions/gemini-proxy.js").handler;
+    const res = await handler({ httpMethod: "GET", headers: {}, queryStringParameters: { health: "" } });
+    const { models } = JSON.parse(res.body);
+    assert.equal(models[CHAT_MODELS[0]].state, "open");
+    assert.equal(models[CHAT_MODELS[1]].state, "closed");
+  });
+});
@@ -0,0 +1,88 @@
+// test/support/fake-gemini.js
+// Local stand-in for the Gemini REST API (generateContent / streamGenerateContent?alt=sse).
+// Each model answers from its own script queue; unscripted calls get DEFAULT_REPLY.
+// Every request is recorded so tests can assert on what the proxy actually forwarded.
+
+const http = require("http");
+
+const DEFAULT_REPLY = "Hello from the fake model.";
+
+/* ---------- Reply builders ---------- */
+function reply(text, { finishReason = "STOP", usage = { promptTokenCount: 10, candidatesTokenCount: 5, totalTokenCount: 15 } } = {}) {
+  return { status: 200, json: { candidates: [{ content: { role: "model", parts: [{ text }] }, finishReason }], usageMetadata: usage } };
+}
+function blocked(reason = "SAFETY") {
+  return { status: 200, json: { promptFeedback: { blockReason: reason } } };
+}
+function failure(status, message = `fake upstream ${status}`) {
+  return { status, json: { error: { code: status, message } } };
+}
+// One SSE event per text chunk; the last one carries finishReason and usage like the real stream
+function sse(chunks, { usage = { promptTokenCount: 10, candidatesTokenCount: 5, totalTokenCount: 15 } } = {}) {
+  const events = chunks.map((text) => ({ candidates: [{ content: { role: "model", parts: [{ text }] } }] }));
+  events.push({ candidates: [{ content: { role: "model", parts: [{ text: "" }] }, finishReason: "STOP" }], usageMetadata: usage });
+  return { status: 200, sse: events };
+}
+// Sends the chunks, then keeps the connection open without ever finishing the stream
+function stall(chunks = []) {
+  return { status: 200, sse: sse(chunks).sse.slice(0, -1), stall: true };
+}
+
+/* ---------- Server ---------- */
+async function startFakeGemini() {
+  const calls = [];
+  const scripts = new Map(); // model -> [step]
+  const sockets = new Set();
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => { raw += c; });
+    req.on("end", () => {
+      const m = /\/models\/([^/:?]+):(generateContent|streamGenerateContent)/.exec(req.url) || [];
+      const call = {
+        model: decodeURIComponent(m[1] || ""),
+        stream: m[2] === "streamGenerateContent",
+        key: new URL(req.url, "http://x").searchParams.get("key"),
+        body: JSON.parse(raw || "{}")
+      };
+      calls.push(call);
+      const queue = scripts.get(call.model) || [];
+      let step = queue.length ? queue.shift() : reply(DEFAULT_REPLY);
+      if (typeof step === "function") step = step(call);
+      send(res, step, call.stream);
+    });
+  });
+  server.on("connection", (socket) => { sockets.add(socket); socket.on("close", () => sockets.delete(socket)); });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/v1beta/models`,
+    calls,
+    // Queue replies for a model, consumed one per request
+    script(model, ...steps) { scripts.set(model, [...(scripts.get(model) || []), ...steps]); },
+    callsFor(model) { return calls.filter((c) => c.model === model); },
+    reset() { calls.length = 0; scripts.clear(); },
+    // Stalled replies hold their sockets open, so close them rather than wait
+    close() { sockets.forEach((s) => s.destroy()); return new Promise((resolve) => server.close(resolve)); }
+  };
+}
+
+function send(res, step, stream) {
+  if (step.sse) {
+    res.writeHead(step.status, { "Content-Type": "text/event-stream" });
+    const body = step.sse.map((e) => `data: ${JSON.stringify(e)}\r\n\r\n`).join("");
+    if (step.stall) res.write(body);
+    else res.end(body);
+    return;
+  }
+  // A non-stream reply to a stream request is framed as a single SSE event
+  if (stream && step.status === 200) {
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    res.end(`data: ${JSON.stringify(step.json)}\r\n\r\n`);
+    return;
+  }
+  res.writeHead(step.status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(step.json));
+}
+
+module.exports = { startFakeGemini, reply, blocked, failure, sse, stall, DEFAULT_REPLY };
@@ -0,0 +1,23 @@
+// test/support/proxy.js
+// Loads functions/gemini-proxy.js fresh for each test: model health, circuit breakers and the
+// memory rate store live in module scope, so a new instance stands in for a cold start.
+
+const PROXY = require.resolve("../../functions/gemini-proxy.js");
+
+function loadProxy(env) {
+  Object.assign(process.env, { LLM_PROVIDER: "gemini", GEMINI_API_KEY: "test-key", RATE_STORE: "memory" }, env);
+  delete require.cache[PROXY];
+  const { handler } = require(PROXY);
+  return (body, headers = {}) => handler({ httpMethod: "POST", headers, body: JSON.stringify(body) });
+}
+
+// Buffered SSE body → [{ event, data }]
+function parseSSE(body) {
+  return body.split("\n\n").filter(Boolean).map((block) => {
+    const event = /^event: (.*)$/m.exec(block)?.[1];
+    const data = /^data: (.*)$/m.exec(block)?.[1];
+    return { event, data: data ? JSON.parse(data) : null };
+  });
+}
+
+module.exports = { loadProxy, parseSSE };